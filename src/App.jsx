@@ -1,4 +1,4 @@
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useState, useRef, useEffect, useMemo } from 'react';
 import {
   VictoryChart,
   VictoryLine,
@@ -6,81 +6,410 @@ import {
   VictoryTheme,
   VictoryTooltip,
   VictoryVoronoiContainer,
+  VictoryArea,
+  VictoryBrushContainer,
+  VictoryBar,
+  VictoryScatter,
+  VictoryLabel,
 } from 'victory';
 import html2canvas from 'html2canvas';
+import { getPitchFileAccept, isSupportedPitchFile } from './pitchFormats';
+import { readPitchFile } from './pitchFileReader';
+import { estimateTonic } from './tonicEstimation';
+import { getOutOfRagaBands, getSwaraSet } from './swaras';
+import {
+  Y_AXIS_TYPES,
+  formatPitchTooltip,
+  getAxisTicks,
+  getAxisTitle,
+  getYTicks,
+  isRelativeAxis,
+} from './yAxis';
+import { COMPARISON_COLORS, buildComparisonSeries, createComparisonSource, getReferenceTonic } from './comparison';
+import { alignContours } from './dtw';
+import { HISTOGRAM_BIN_WIDTHS, computeHistogram, getSwaraStats } from './histogram';
+import { computeIntonationReport, formatIntonationCsv, getIntonationLevel } from './intonation';
+import { RAGA_CATALOG, RAGA_GROUPS, findRaga, parseCustomRagas } from './ragas';
+import { DEFAULT_TUNING, TUNING_SYSTEMS, formatTuningTable, parseCustomTuning } from './tunings';
+import { AUDIO_FILE_ACCEPT, DEFAULT_PITCH_TRACKING, extractPitchFromAudio, isAudioFile } from './audioPitch';
+import { useTimeWindowGestures } from './useTimeWindowGestures';
+import { DEFAULT_LINE_BREAKS, MEDIAN_WINDOWS, splitAtGaps } from './pitchProcessing';
+import {
+  LARGE_CARD_COUNT,
+  MAX_CARDS,
+  SESSION_FILE_ACCEPT,
+  createCard,
+  parseSession,
+  readSession,
+  serializeSession,
+} from './session';
+import {
+  AUTOSAVE_DELAY_MS,
+  createWorkspaceId,
+  deleteSession,
+  findCachedPitchFile,
+  listSessions,
+  loadSession,
+  saveSession,
+} from './sessionStore';
+import { decodeUrlState, encodeUrlState } from './urlState';
+import { DEFAULT_REPORT, REPORT_CARDS_PER_PAGE, createReport } from './pdfReport';
+import {
+  ANNOTATION_FILE_ACCEPT,
+  formatAudacityLabels,
+  formatTextGrid,
+  getWindowAnnotations,
+  isPointAnnotation,
+  parseAnnotationFile,
+  parseLabelTiers,
+  sortAnnotations,
+} from './annotations';
+import {
+  DATA_EXPORT_COLUMNS,
+  DATA_EXPORT_FORMATS,
+  DEFAULT_DATA_EXPORT,
+  formatDataRows,
+  getDataExportFormat,
+  getDataRows,
+} from './dataExport';
+import { decimateMinMax, decimateSegments, getExtent } from './decimation';
+import { DEFAULT_PHRASE_SPLIT, PHRASE_SPLIT_MODES, countPhrases, splitIntoPhrases } from './phrases';
+import { DEFAULT_SVG_EXPORT, SVG_SIZE_LIMITS, fetchEmbeddedFontCss, layoutToSvg } from './svgExport';
+import {
+  ANNOTATION_COLOR,
+  ANNOTATION_FILL,
+  EMPTY_CARD_CHART,
+  GAMAKA_FILL,
+  INTONATION_FILLS,
+  NOTE_LABEL_COLOR,
+  OUT_OF_RAGA_FILL,
+  RAW_CONTOUR_COLOR,
+  SILENCE_FILL,
+  STABLE_NOTE_FILL,
+  drawChartLayout,
+  getCardChart,
+  layoutCardChart,
+  processCard,
+} from './cardChart';
+
+const PITCH_FILE_ACCEPT = getPitchFileAccept();
+// Asks before laying out more than LARGE_CARD_COUNT cards
+const confirmCardCount = (count) =>
+  count <= LARGE_CARD_COUNT || window.confirm(`This makes ${count} cards, which can make the page slow. Continue?`);
+// Larger grids only render the cards near the viewport
+const VIRTUALIZE_AFTER = 20;
+const CARD_PLACEHOLDER_HEIGHT = 1200;
+// Shortest region the annotations table allows
+const MIN_REGION_SEC = 0.001;
+const PLAYBACK_RATES = [0.5, 0.75, 1, 1.25, 1.5, 2];
+const PLAYHEAD_COLOR = '#dc2626';
+// Points drawn in the whole-file overview under each chart
+const OVERVIEW_POINTS = 600;
+// Plot width of the Victory pitch chart, in chart units
+const VICTORY_PLOT_WIDTH = 280;
+const COMPARISON_PLOT_WIDTH = 660;
+
+// Time values are kept as input strings; round gesture results to 1 ms
+const formatTime = (t) => String(Number(t.toFixed(3)));
 
-// Swara names and their positions in cents (relative to tonic Sa)
-const SWARA_LABELS = [
-  { name: 'Sa', cents: 0 },
-  { name: 'Re', cents: 204 },
-  { name: 'Re♯/Ga♭', cents: 316 },
-  { name: 'Ga', cents: 386 },
-  { name: 'Ma', cents: 498 },
-  { name: 'Ma♯/Pa♭', cents: 610 },
-  { name: 'Pa', cents: 702 },
-  { name: 'Dha', cents: 906 },
-  { name: 'Dha♯/Ni♭', cents: 1018 },
-  { name: 'Ni', cents: 1088 },
-  { name: "Sa'", cents: 1200 },
-];
-
-// Convert Hz to cents relative to tonic
-const hzToCents = (hz, tonicHz) => {
-  if (!hz || !tonicHz || hz <= 0 || tonicHz <= 0) return null;
-  return 1200 * Math.log2(hz / tonicHz);
+const downloadText = (text, fileName, type) => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.download = fileName;
+  link.href = url;
+  link.click();
+  URL.revokeObjectURL(url);
 };
 
-const parsePitchData = (text) => {
-  const lines = text.split(/\r?\n/);
-  const data = [];
-  for (const line of lines) {
-    if (!line.trim()) continue;
-    const tokens = line.trim().split(/[ ,\t]+/);
-    if (tokens.length < 2) continue;
-    const t = parseFloat(tokens[0]);
-    const p = parseFloat(tokens[1]);
-    if (isNaN(t) || isNaN(p)) continue;
-    data.push({ x: t, y: p });
-  }
-  data.sort((a, b) => a.x - b.x);
-  return data;
+// Whole-file overview for the canvas renderer; drag to select a new window,
+// click to centre the current window on a point
+const OverviewCanvas = ({ data, extent, start, end, onChange }) => {
+  const canvasRef = useRef(null);
+  const [drag, setDrag] = useState(null);
+  const marginLeft = 70;
+  const marginRight = 20;
+
+  const timeAt = (clientX) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    const frac = (clientX - rect.left - marginLeft) / (rect.width - marginLeft - marginRight);
+    return extent[0] + Math.min(Math.max(frac, 0), 1) * (extent[1] - extent[0]);
+  };
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    const rect = canvas.getBoundingClientRect();
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = rect.width * dpr;
+    canvas.height = rect.height * dpr;
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    const w = rect.width;
+    const h = rect.height;
+    const drawWidth = w - marginLeft - marginRight;
+    ctx.clearRect(0, 0, w, h);
+    if (!data.length || extent[1] <= extent[0]) return;
+
+    const [yMin, yMax] = getExtent(data.map(d => d.y));
+    const toX = (t) => marginLeft + ((t - extent[0]) / (extent[1] - extent[0])) * drawWidth;
+    const toY = (v) => h - 4 - ((v - yMin) / (yMax - yMin || 1)) * (h - 8);
+
+    ctx.strokeStyle = '#6366f1';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    data.forEach((pt, i) => (i === 0 ? ctx.moveTo(toX(pt.x), toY(pt.y)) : ctx.lineTo(toX(pt.x), toY(pt.y))));
+    ctx.stroke();
+
+    const [selStart, selEnd] = drag ? [Math.min(drag.t0, drag.t1), Math.max(drag.t0, drag.t1)] : [start, end];
+    if (isFinite(selStart) && isFinite(selEnd) && selEnd > selStart) {
+      ctx.fillStyle = 'rgba(79, 70, 229, 0.15)';
+      ctx.strokeStyle = '#4f46e5';
+      ctx.fillRect(toX(selStart), 0, toX(selEnd) - toX(selStart), h);
+      ctx.strokeRect(toX(selStart), 0.5, toX(selEnd) - toX(selStart), h - 1);
+    }
+  }, [data, extent, start, end, drag]);
+
+  return (
+    <canvas
+      ref={canvasRef}
+      style={{ width: '100%', height: 60, cursor: 'crosshair', touchAction: 'none' }}
+      onPointerDown={e => {
+        e.currentTarget.setPointerCapture(e.pointerId);
+        const t = timeAt(e.clientX);
+        setDrag({ t0: t, t1: t });
+      }}
+      onPointerMove={e => drag && setDrag({ ...drag, t1: timeAt(e.clientX) })}
+      onPointerUp={() => {
+        if (!drag) return;
+        const span = Math.abs(drag.t1 - drag.t0);
+        if (span > (extent[1] - extent[0]) / 500) {
+          onChange(Math.min(drag.t0, drag.t1), Math.max(drag.t0, drag.t1));
+        } else if (end > start) {
+          onChange(Math.max(0, drag.t0 - (end - start) / 2), Math.max(0, drag.t0 - (end - start) / 2) + (end - start));
+        }
+        setDrag(null);
+      }}
+      aria-label="Whole-file overview; drag to select a time window"
+    />
+  );
 };
 
-const getSwaraTicks = (minCents, maxCents, minSpacing = 60, height = 280) => {
-  const ticks = [];
-  const allTicks = [];
-  const minOctave = Math.floor(minCents / 1200);
-  const maxOctave = Math.ceil(maxCents / 1200);
-  for (let octave = minOctave; octave <= maxOctave; octave++) {
-    SWARA_LABELS.forEach(swara => {
-      const cents = swara.cents + octave * 1200;
-      if (cents >= minCents - 50 && cents <= maxCents + 50) {
-        let label = swara.name;
-        if (octave > 0) label += "'".repeat(octave);
-        if (octave < 0) label += ",".repeat(-octave);
-        allTicks.push({ value: cents, label });
-      }
+// Annotation time in the annotations table, edited as text and passed to
+// onCommit as a number on blur or Enter; empty or invalid input is dropped
+const AnnotationTimeInput = ({ value, onCommit, label }) => {
+  const [text, setText] = useState(null);
+  const commit = () => {
+    const time = Number(text);
+    if (text !== null && text.trim() !== '' && isFinite(time) && time >= 0) onCommit(time);
+    setText(null);
+  };
+  return (
+    <input
+      type="number"
+      step="any"
+      min={0}
+      value={text ?? value}
+      onChange={e => setText(e.target.value)}
+      onBlur={commit}
+      onKeyDown={e => e.key === 'Enter' && e.target.blur()}
+      style={styles.annotationInput}
+      aria-label={label}
+    />
+  );
+};
+
+// Raga dropdown grouped by catalog section; value '' selects defaultLabel
+const RagaSelect = ({ id, value, onChange, customRagas, defaultLabel, style }) => (
+  <select id={id} value={value} onChange={e => onChange(e.target.value)} style={style}>
+    <option value="">{defaultLabel}</option>
+    {RAGA_GROUPS.map(({ type, label }) => {
+      const ragas = type === 'custom' ? customRagas : RAGA_CATALOG.filter(r => r.type === type);
+      if (!ragas.length) return null;
+      return (
+        <optgroup key={type} label={label}>
+          {ragas.map(r => (
+            <option key={r.id} value={r.id}>{r.name}</option>
+          ))}
+        </optgroup>
+      );
+    })}
+  </select>
+);
+
+// Time-weighted cents histogram of a card's window with the swara grid
+// marked, and a table of time spent on and mean deviation from each swara
+const HistogramPanel = ({ index, points, swaraSet, settings, onSettingsChange, graphType }) => {
+  const canvasRef = useRef(null);
+  const bins = computeHistogram(points, settings);
+  const octave = swaraSet.filter(s => s.cents < 1200);
+  const stats = getSwaraStats(points, octave);
+  const xDomain = bins.length ? [bins[0].start, bins[bins.length - 1].end] : [0, 1200];
+  const maxSeconds = Math.max(0, ...bins.map(b => b.seconds));
+  const markers = [];
+  for (let o = Math.floor(xDomain[0] / 1200); o <= Math.floor(xDomain[1] / 1200); o++) {
+    octave.forEach(s => {
+      const cents = s.cents + o * 1200;
+      if (cents >= xDomain[0] && cents <= xDomain[1]) markers.push({ cents, name: s.name });
     });
   }
-  let lastY = null;
-  allTicks.forEach(tick => {
-    const yNorm = (tick.value - minCents) / (maxCents - minCents || 1);
-    const yPx = height - (yNorm * height);
-    if (lastY === null || Math.abs(yPx - lastY) >= minSpacing) {
-      ticks.push(tick);
-      lastY = yPx;
+
+  useEffect(() => {
+    if (graphType !== 'canvas') return;
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    const rect = canvas.getBoundingClientRect();
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = rect.width * dpr;
+    canvas.height = rect.height * dpr;
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    const w = rect.width;
+    const h = rect.height;
+    const marginLeft = 50;
+    const marginRight = 15;
+    const marginTop = 24;
+    const marginBottom = 30;
+    const drawWidth = w - marginLeft - marginRight;
+    const drawHeight = h - marginTop - marginBottom;
+    const toX = (c) => marginLeft + ((c - xDomain[0]) / (xDomain[1] - xDomain[0])) * drawWidth;
+    const toY = (s) => marginTop + drawHeight - (s / (maxSeconds || 1)) * drawHeight;
+    ctx.clearRect(0, 0, w, h);
+
+    ctx.fillStyle = '#6366f1';
+    bins.forEach(b => {
+      if (b.seconds > 0) ctx.fillRect(toX(b.start), toY(b.seconds), Math.max(1, toX(b.end) - toX(b.start) - 1), toY(0) - toY(b.seconds));
+    });
+
+    ctx.save();
+    ctx.setLineDash([4, 4]);
+    ctx.strokeStyle = '#dc2626';
+    ctx.fillStyle = '#1e40af';
+    ctx.font = '11px "Poppins", monospace';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'bottom';
+    markers.forEach(({ cents, name }) => {
+      ctx.beginPath();
+      ctx.moveTo(toX(cents), marginTop);
+      ctx.lineTo(toX(cents), marginTop + drawHeight);
+      ctx.stroke();
+      ctx.fillText(name, toX(cents), marginTop - 4);
+    });
+    ctx.restore();
+
+    ctx.strokeStyle = '#cbd5e1';
+    ctx.beginPath();
+    ctx.moveTo(marginLeft, marginTop);
+    ctx.lineTo(marginLeft, marginTop + drawHeight);
+    ctx.lineTo(marginLeft + drawWidth, marginTop + drawHeight);
+    ctx.stroke();
+    ctx.fillStyle = '#4b5563';
+    ctx.font = '11px "Poppins", monospace';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    for (let i = 0; i <= 6; i++) {
+      const c = xDomain[0] + ((xDomain[1] - xDomain[0]) * i) / 6;
+      ctx.fillText(c.toFixed(0), toX(c), marginTop + drawHeight + 6);
     }
-  });
-  return ticks;
-};
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(`${maxSeconds.toFixed(2)} s`, marginLeft - 6, marginTop);
+    ctx.fillText('0', marginLeft - 6, marginTop + drawHeight);
+    // eslint-disable-next-line
+  }, [graphType, points, settings, swaraSet]);
 
-const getYTicks = (min, max, count = 5) => {
-  if (!isFinite(min) || !isFinite(max) || min === max) return [];
-  const ticks = [];
-  for (let i = 0; i <= count; i++) {
-    ticks.push(min + ((max - min) * i) / count);
+  if (!points.length) {
+    return <div style={styles.panelNote}>Enter a time window and tonic to see the distribution.</div>;
   }
-  return ticks;
+
+  return (
+    <>
+      <div style={styles.controlsRow}>
+        <div style={styles.miniInputGroup}>
+          <label htmlFor={`binWidth-${index}`} style={styles.miniLabel}>Bin width (¢)</label>
+          <select
+            id={`binWidth-${index}`}
+            value={settings.binWidth}
+            onChange={e => onSettingsChange(index, { ...settings, binWidth: Number(e.target.value) })}
+            style={{ ...styles.select, fontSize: 13, padding: '3px 8px' }}
+          >
+            {HISTOGRAM_BIN_WIDTHS.map(n => (
+              <option key={n} value={n}>{n}</option>
+            ))}
+          </select>
+        </div>
+        <label style={{ ...styles.miniLabel, alignSelf: 'flex-end' }}>
+          <input
+            type="checkbox"
+            checked={settings.folded}
+            onChange={e => onSettingsChange(index, { ...settings, folded: e.target.checked })}
+            style={styles.inlineCheckbox}
+          />
+          Fold octaves
+        </label>
+      </div>
+      <div style={styles.histogramChart}>
+        {graphType === 'victory' ? (
+          <VictoryChart
+            theme={VictoryTheme.material}
+            domain={{ x: xDomain, y: [0, maxSeconds || 1] }}
+            height={200}
+            width={380}
+            padding={{ top: 30, bottom: 40, left: 55, right: 15 }}
+          >
+            <VictoryAxis
+              label="Cents"
+              tickFormat={(tick) => `${Math.round(tick)}`}
+              style={{ axisLabel: { padding: 26, fontSize: 11 }, tickLabels: { fontSize: 9 } }}
+            />
+            <VictoryAxis
+              orientation="top"
+              tickValues={markers.map(m => m.cents)}
+              tickFormat={(tick) => markers.find(m => m.cents === tick)?.name || ''}
+              style={{
+                tickLabels: { fontSize: 8, fill: '#1e40af', padding: 2 },
+                grid: { stroke: '#dc2626', strokeDasharray: '4,4' },
+              }}
+            />
+            <VictoryAxis
+              dependentAxis
+              label="Seconds"
+              tickFormat={(tick) => tick.toFixed(2)}
+              style={{ axisLabel: { padding: 40, fontSize: 11 }, tickLabels: { fontSize: 9 } }}
+            />
+            <VictoryBar
+              data={bins.map(b => ({ x: (b.start + b.end) / 2, y: b.seconds }))}
+              barRatio={0.9}
+              style={{ data: { fill: '#6366f1' } }}
+            />
+          </VictoryChart>
+        ) : (
+          <canvas ref={canvasRef} style={{ width: '100%', height: 200, background: '#fff' }} />
+        )}
+      </div>
+      <table style={styles.statsTable}>
+        <thead>
+          <tr>
+            <th style={styles.statsCell}>Swara</th>
+            <th style={styles.statsCell}>Time (s)</th>
+            <th style={styles.statsCell}>Share</th>
+            <th style={styles.statsCell}>Mean dev. (¢)</th>
+          </tr>
+        </thead>
+        <tbody>
+          {stats.map(stat => (
+            <tr key={stat.name}>
+              <td style={styles.statsCell}>{stat.name}</td>
+              <td style={styles.statsCell}>{stat.seconds.toFixed(2)}</td>
+              <td style={styles.statsCell}>{(stat.share * 100).toFixed(1)}%</td>
+              <td style={styles.statsCell}>
+                {stat.meanDeviation === null ? '—' : `${stat.meanDeviation >= 0 ? '+' : ''}${stat.meanDeviation.toFixed(1)}`}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </>
+  );
 };
 
 const PitchGraphCard = ({
@@ -90,28 +419,143 @@ const PitchGraphCard = ({
   endTime,
   tonic,
   onFileChange,
+  onFileDrop,
+  onPitchDataChange,
+  onAudioChange,
   onStartTimeChange,
   onEndTimeChange,
   onTonicChange,
   fileName,
+  fileFormat,
+  audioFile,
+  audioName,
   graphType,
   useSameFile,
   yAxisType,
+  raga,
+  ragaId,
+  onRagaChange,
+  notes,
+  onNotesChange,
+  customRagas,
+  shadeOutOfRaga,
+  tuning,
+  processing,
+  onProcessingChange,
+  lineBreaks,
+  onLineBreaksChange,
+  histogram,
+  onHistogramChange,
+  segmentation,
+  onSegmentationChange,
+  intonation,
+  onIntonationChange,
+  annotations,
+  onAnnotationsChange,
+  dataExport,
+  onScreen = true,
 }) => {
-  const filteredData = (() => {
-    if (!startTime || !endTime || !tonic) return [];
-    const s = Number(startTime);
-    const e = Number(endTime);
-    const tonicHz = Number(tonic);
-    if (isNaN(s) || isNaN(e) || s >= e || isNaN(tonicHz) || tonicHz <= 0) return [];
-    return pitchData
-      .filter((p) => p.x >= s && p.x <= e && p.y > 0)
-      .map((p) => ({ x: p.x, y: hzToCents(p.y, tonicHz) }))
-      .filter((p) => p.y !== null && isFinite(p.y));
-  })();
+  const swaraSet = useMemo(() => getSwaraSet(raga, tuning), [raga, tuning]);
+  const needsTonic = isRelativeAxis(yAxisType);
+
+  // Cards scrolled far off screen (see LazyCard) keep their state but skip
+  // processing and plotting until they come back
+  const processed = useMemo(
+    () => (onScreen ? processCard({ pitchData, processing }) : { data: pitchData, stats: null }),
+    [onScreen, pitchData, processing]
+  );
+  // Long windows take a while to segment, so only redo it when the inputs
+  // change, not on every render (the playhead re-renders the card while playing)
+  const chart = useMemo(
+    () =>
+      onScreen
+        ? getCardChart(
+          { pitchData, startTime, endTime, tonic, processing, lineBreaks, segmentation, intonation, annotations },
+          processed.data,
+          { yAxisType, swaraSet }
+        )
+        : EMPTY_CARD_CHART,
+    [onScreen, pitchData, startTime, endTime, tonic, processing, lineBreaks, segmentation, intonation, annotations, processed, yAxisType, swaraSet]
+  );
+  const { filteredData, rawData, segments, rawSegments, silences, centsData, heldSegments, noteSegments, intonationBands } = chart;
+  const intonationReport = useMemo(
+    () => computeIntonationReport(centsData, heldSegments, swaraSet),
+    [centsData, heldSegments, swaraSet]
+  );
+  const chartView = { yAxisType, swaraSet, raga, tuning, shadeOutOfRaga };
 
   const canvasRef = useRef(null);
   const graphOnlyRef = useRef(null);
+  const audioJobRef = useRef(null);
+  const [pitchTracking, setPitchTracking] = useState(DEFAULT_PITCH_TRACKING);
+  const [audioProgress, setAudioProgress] = useState(null);
+  const [isDragOver, setIsDragOver] = useState(false);
+  const audioRef = useRef(null);
+  const [audioUrl, setAudioUrl] = useState('');
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [loopPlayback, setLoopPlayback] = useState(false);
+  const [playbackRate, setPlaybackRate] = useState(1);
+  const [playheadTime, setPlayheadTime] = useState(null);
+  const [tonicEstimate, setTonicEstimate] = useState(null);
+  const [showHistogram, setShowHistogram] = useState(false);
+  const [svgExport, setSvgExport] = useState(DEFAULT_SVG_EXPORT);
+  const [annotating, setAnnotating] = useState(false);
+
+  // Candidates belong to the data they were estimated from
+  useEffect(() => setTonicEstimate(null), [pitchData]);
+
+  const handleEstimateTonic = () => {
+    const estimate = estimateTonic(pitchData);
+    if (!estimate) {
+      alert('No voiced pitch data to estimate the tonic from.');
+      return;
+    }
+    setTonicEstimate(estimate);
+  };
+
+  // Cancel a running pitch tracker when the card goes away
+  useEffect(() => () => audioJobRef.current?.cancel(), []);
+
+  const handleAudioFile = (file) => {
+    audioJobRef.current?.cancel();
+    const job = extractPitchFromAudio(file, pitchTracking, setAudioProgress);
+    audioJobRef.current = job;
+    job.promise
+      .then((data) => {
+        if (!data.some((p) => p.y > 0)) {
+          alert('No pitched frames were found in the audio file.');
+          return;
+        }
+        onPitchDataChange(index, { pitchData: data, fileName: file.name, fileFormat: 'Audio (YIN)' });
+        onAudioChange(index, file);
+      })
+      .catch((err) => {
+        if (err.name !== 'AbortError') alert(err.message);
+      })
+      .finally(() => {
+        if (audioJobRef.current === job) {
+          audioJobRef.current = null;
+          setAudioProgress(null);
+        }
+      });
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragOver(false);
+    if (useSameFile) return;
+    const file = e.dataTransfer.files[0];
+    if (!file) return;
+    if (isAudioFile(file.name)) {
+      handleAudioFile(file);
+    } else {
+      onFileDrop(index, file);
+    }
+  };
+
+  const onPitchTrackingChange = (key, value) => {
+    setPitchTracking((prev) => ({ ...prev, [key]: Number(value) }));
+  };
 
   // Draw canvas with horizontal grid lines for swaras or cents
   const drawGraph = () => {
@@ -129,134 +573,181 @@ const PitchGraphCard = ({
     const h = rect.height;
     ctx.clearRect(0, 0, w, h);
 
-    if (
-      !filteredData.length ||
-      !startTime ||
-      !endTime ||
-      !tonic ||
-      isNaN(Number(startTime)) ||
-      isNaN(Number(endTime)) ||
-      isNaN(Number(tonic)) ||
-      Number(startTime) >= Number(endTime) ||
-      Number(tonic) <= 0
-    ) {
+    const layout = layoutCardChart(chart, { startTime, endTime, tonic }, chartView, w, h);
+    if (!layout) {
       ctx.fillStyle = '#4b5563';
       ctx.font = '16px "Poppins", sans-serif';
       ctx.textAlign = 'center';
       ctx.fillText('No pitch data loaded or invalid range/tonic', w / 2, h / 2);
       return;
     }
+    drawChartLayout(ctx, layout, '"Poppins", sans-serif');
+    const { plot, toX } = layout;
 
-    const centsMin = Math.min(...filteredData.map(d => d.y));
-    const centsMax = Math.max(...filteredData.map(d => d.y));
-    const safeCentsMin = centsMin === centsMax ? centsMin - 1 : centsMin;
-    const safeCentsMax = centsMin === centsMax ? centsMax + 1 : centsMax;
+    // Playhead
+    if (playheadTime !== null && playheadTime >= Number(startTime) && playheadTime <= Number(endTime)) {
+      const x = toX(playheadTime);
+      ctx.strokeStyle = PLAYHEAD_COLOR;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo(x, plot.top);
+      ctx.lineTo(x, plot.top + plot.height);
+      ctx.stroke();
+    }
+  };
 
-    const marginLeft = 70;
-    const marginRight = 20;
-    const marginTop = 35;
-    const marginBottom = 45;
-    const drawWidth = w - marginLeft - marginRight;
-    const drawHeight = h - marginTop - marginBottom;
+  useEffect(() => {
+    if (graphType === 'canvas' && onScreen) {
+      drawGraph();
+    }
+    // eslint-disable-next-line
+  }, [onScreen, filteredData, rawData, startTime, endTime, tonic, graphType, yAxisType, playheadTime, raga, shadeOutOfRaga, tuning, lineBreaks, segmentation, intonation]);
 
-    ctx.fillStyle = 'rgba(255, 255, 255, 1)';
-    ctx.fillRect(marginLeft, marginTop, drawWidth, drawHeight);
+  // Object URL for the attached audio file
+  useEffect(() => {
+    setIsPlaying(false);
+    setPlayheadTime(null);
+    if (!audioFile) {
+      setAudioUrl('');
+      return;
+    }
+    const url = URL.createObjectURL(audioFile);
+    setAudioUrl(url);
+    return () => URL.revokeObjectURL(url);
+  }, [audioFile]);
 
-    // Draw horizontal grid lines for swaras or cents
-    ctx.save();
-    ctx.setLineDash([4, 4]);
-    ctx.font = '13px "Poppins", monospace';
-    ctx.textAlign = 'right';
-    ctx.textBaseline = 'middle';
+  useEffect(() => {
+    if (audioRef.current) audioRef.current.playbackRate = playbackRate;
+  }, [playbackRate, audioUrl]);
 
-    if (yAxisType === 'swaras') {
-      const swaraTicks = getSwaraTicks(safeCentsMin, safeCentsMax, 40, drawHeight);
-      swaraTicks.forEach(({ value, label }) => {
-        const yPos = marginTop + drawHeight - ((value - safeCentsMin) / (safeCentsMax - safeCentsMin || 1)) * drawHeight;
-        ctx.strokeStyle = '#a3a3a3';
-        ctx.beginPath();
-        ctx.moveTo(marginLeft, yPos);
-        ctx.lineTo(marginLeft + drawWidth, yPos);
-        ctx.stroke();
-        ctx.fillStyle = '#1e40af';
-        ctx.textAlign = 'right';
-        ctx.fillText(label, marginLeft - 18, yPos);
-      });
-      ctx.save();
-      ctx.font = 'bold 15px "Poppins", monospace';
-      ctx.fillStyle = '#1e40af';
-      ctx.textAlign = 'right';
-      ctx.textBaseline = 'top';
-      ctx.fillText('Swaras', marginLeft - 18, marginTop - 18);
-      ctx.restore();
-    } else {
-      const yTicks = getYTicks(safeCentsMin, safeCentsMax, 5);
-      yTicks.forEach((yVal) => {
-        const yPos = marginTop + drawHeight - ((yVal - safeCentsMin) / (safeCentsMax - safeCentsMin || 1)) * drawHeight;
-        ctx.strokeStyle = '#a3a3a3';
-        ctx.beginPath();
-        ctx.moveTo(marginLeft, yPos);
-        ctx.lineTo(marginLeft + drawWidth, yPos);
-        ctx.stroke();
-        ctx.fillStyle = '#4b5563';
-        ctx.fillText(yVal.toFixed(1), marginLeft - 18, yPos);
-      });
-      ctx.save();
-      ctx.font = 'bold 15px "Poppins", monospace';
-      ctx.fillStyle = '#1e40af';
-      ctx.textAlign = 'right';
-      ctx.textBaseline = 'top';
-      ctx.fillText('Cents', marginLeft - 18, marginTop - 18);
-      ctx.restore();
-    }
-    ctx.restore();
+  // Follow the audio position while playing, looping or stopping at endTime
+  useEffect(() => {
+    if (!isPlaying) return;
+    let frame;
+    const tick = () => {
+      const audio = audioRef.current;
+      if (!audio) return;
+      if (audio.currentTime >= Number(endTime)) {
+        if (loopPlayback) {
+          audio.currentTime = Number(startTime);
+        } else {
+          audio.pause();
+          setIsPlaying(false);
+          setPlayheadTime(Number(endTime));
+          return;
+        }
+      }
+      setPlayheadTime(audio.currentTime);
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [isPlaying, loopPlayback, startTime, endTime]);
 
-    // X axis ticks
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'top';
-    ctx.font = '11px "Poppins", monospace';
-    const xTicks = 6;
-    for (let i = 0; i <= xTicks; i++) {
-      const xVal = Number(startTime) + ((Number(endTime) - Number(startTime)) * i) / xTicks;
-      const xPos = marginLeft + (drawWidth * i) / xTicks;
-      ctx.fillStyle = '#4b5563';
-      ctx.fillText(xVal.toFixed(2), xPos, marginTop + drawHeight + 10);
-      ctx.save();
-      ctx.strokeStyle = 'rgba(156,163,175,0.15)';
-      ctx.beginPath();
-      ctx.moveTo(xPos, marginTop);
-      ctx.lineTo(xPos, marginTop + drawHeight);
-      ctx.stroke();
-      ctx.restore();
-    }
+  const hasTimeWindow = startTime !== '' && endTime !== '' && Number(startTime) < Number(endTime);
+  const hasPlaybackWindow = !!audioUrl && hasTimeWindow;
 
-    // Draw axes
-    ctx.strokeStyle = '#cbd5e1';
-    ctx.lineWidth = 1;
-    ctx.beginPath();
-    ctx.moveTo(marginLeft, marginTop);
-    ctx.lineTo(marginLeft, marginTop + drawHeight);
-    ctx.lineTo(marginLeft + drawWidth, marginTop + drawHeight);
-    ctx.stroke();
+  const onTimeWindowChange = (s, e) => {
+    onStartTimeChange(index, formatTime(s));
+    onEndTimeChange(index, formatTime(e));
+  };
 
-    // Draw pitch line
-    ctx.strokeStyle = '#4f46e5';
-    ctx.lineWidth = 3;
-    ctx.beginPath();
-    filteredData.forEach((pt, i) => {
-      const x = marginLeft + ((pt.x - Number(startTime)) / (Number(endTime) - Number(startTime))) * drawWidth;
-      const y = marginTop + drawHeight - ((pt.y - safeCentsMin) / (safeCentsMax - safeCentsMin || 1)) * drawHeight;
-      i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y);
-    });
-    ctx.stroke();
+  const handleAnnotate = (start, end) => {
+    const label = window.prompt(start === end ? 'Label for the point marker:' : 'Label for the region:', '');
+    if (label === null) return;
+    const round = (t) => Number(t.toFixed(3));
+    onAnnotationsChange(index, sortAnnotations([...annotations, { start: round(start), end: round(end), label }]));
   };
 
-  useEffect(() => {
-    if (graphType === 'canvas') {
-      drawGraph();
+  const updateAnnotation = (i, changes) => {
+    onAnnotationsChange(index, annotations.map((a, k) => (k === i ? { ...a, ...changes } : a)));
+  };
+
+  // A point moves as a whole; a region keeps ending at least 1 ms after it
+  // starts so it stays a region and its session can be opened again
+  const updateAnnotationTime = (i, key, time) => {
+    const a = annotations[i];
+    let changes;
+    if (isPointAnnotation(a)) changes = { start: time, end: time };
+    else if (key === 'start') changes = { start: Math.max(0, Math.min(time, a.end - MIN_REGION_SEC)) };
+    else changes = { end: Math.max(time, a.start + MIN_REGION_SEC) };
+    onAnnotationsChange(index, sortAnnotations(annotations.map((b, k) => (k === i ? { ...b, ...changes } : b))));
+  };
+
+  const onAnnotationFileChange = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        const imported = parseAnnotationFile(e.target.result);
+        if (!imported.length) {
+          alert('No labels were found in the file.');
+          return;
+        }
+        onAnnotationsChange(index, sortAnnotations([...annotations, ...imported]));
+      } catch (err) {
+        alert(`Could not import labels: ${err.message}`);
+      }
+    };
+    reader.readAsArrayBuffer(file);
+    event.target.value = null;
+  };
+
+  // Wheel/pinch zoom, drag to pan, shift+drag to brush on either renderer;
+  // in annotate mode drag/click adds a region/point instead of panning
+  const chartAreaRef = useRef(null);
+  const brush = useTimeWindowGestures(chartAreaRef, {
+    start: Number(startTime),
+    end: Number(endTime),
+    enabled: hasTimeWindow,
+    plotLeft: graphType === 'canvas' ? 70 : 80,
+    plotRight: 20,
+    viewWidth: graphType === 'canvas' ? null : 380,
+    onChange: onTimeWindowChange,
+    annotate: annotating,
+    onAnnotate: handleAnnotate,
+  });
+  const windowAnnotations = hasTimeWindow ? getWindowAnnotations(annotations, Number(startTime), Number(endTime)) : [];
+  // Regions are drawn and labelled within the window
+  const clampToWindow = (t) => Math.min(Math.max(t, Number(startTime)), Number(endTime));
+
+  // Min/max decimated whole-file contour for the overview (log2 Hz keeps its shape)
+  const overviewData = useMemo(() => {
+    if (!onScreen) return [];
+    const voiced = pitchData.filter(p => p.y > 0).map(p => ({ x: p.x, y: Math.log2(p.y) }));
+    if (!voiced.length) return voiced;
+    return decimateMinMax(voiced, voiced[0].x, voiced[voiced.length - 1].x, OVERVIEW_POINTS / 2);
+  }, [onScreen, pitchData]);
+  const fileExtent = pitchData.length ? [pitchData[0].x, pitchData[pitchData.length - 1].x] : [0, 0];
+
+  const handlePlay = () => {
+    const audio = audioRef.current;
+    if (!audio || !hasPlaybackWindow) return;
+    if (audio.currentTime < Number(startTime) || audio.currentTime >= Number(endTime)) {
+      audio.currentTime = Number(startTime);
     }
-    // eslint-disable-next-line
-  }, [filteredData, startTime, endTime, tonic, graphType, yAxisType]);
+    audio.playbackRate = playbackRate;
+    audio.play().then(
+      () => setIsPlaying(true),
+      (err) => alert(`Could not play audio: ${err.message}`)
+    );
+  };
+
+  const handlePause = () => {
+    audioRef.current?.pause();
+    setIsPlaying(false);
+  };
+
+  const handleStop = () => {
+    const audio = audioRef.current;
+    if (audio) {
+      audio.pause();
+      audio.currentTime = Number(startTime) || 0;
+    }
+    setIsPlaying(false);
+    setPlayheadTime(null);
+  };
 
   // Export only the graph section as image with white background
   const handleExportImage = async () => {
@@ -269,24 +760,133 @@ const PitchGraphCard = ({
     }
   };
 
+  const handleExportData = () => {
+    if (!dataExport.columns.length) {
+      alert('Select at least one data column to export.');
+      return;
+    }
+    const rows = getDataRows({ pitchData, startTime, endTime, tonic, fileName }, index + 1, processed.data, swaraSet);
+    if (!rows.length) {
+      alert('No pitch data in the time window to export.');
+      return;
+    }
+    const format = getDataExportFormat(dataExport.format);
+    downloadText(formatDataRows(rows, dataExport.columns, format.id), `pitch-data-${index + 1}.${format.extension}`, format.type);
+  };
+
+  // Drawn from the chart layout whichever graph type is shown
+  const handleExportSvg = async () => {
+    const { min, max } = SVG_SIZE_LIMITS;
+    const { width, height, embedFont } = svgExport;
+    if (![width, height].every((v) => v >= min && v <= max)) {
+      alert(`SVG width and height must be between ${min} and ${max} px.`);
+      return;
+    }
+    const layout = layoutCardChart(chart, { startTime, endTime, tonic }, chartView, width, height);
+    if (!layout) {
+      alert('Load pitch data and set a valid time range and tonic before exporting.');
+      return;
+    }
+    let fontCss = '';
+    if (embedFont) {
+      try {
+        fontCss = await fetchEmbeddedFontCss();
+      } catch (err) {
+        alert(`Could not embed the font: ${err.message}`);
+        return;
+      }
+    }
+    const title = `${fileName || `Pitch graph ${index + 1}`} (${startTime}-${endTime} s)`;
+    downloadText(layoutToSvg(layout, { title, fontCss }), `pitch-graph-${index + 1}.svg`, 'image/svg+xml');
+  };
+
+  const victoryYDomain = useMemo(() => (filteredData.length ? getExtent(filteredData.map(d => d.y)) : [0, 1]), [filteredData]);
+  // Long windows are drawn with about two points per chart unit
+  const [victorySegments, victoryRawSegments] = useMemo(
+    () => [segments, rawSegments].map(list => decimateSegments(list, Number(startTime), Number(endTime), VICTORY_PLOT_WIDTH)),
+    [segments, rawSegments, startTime, endTime]
+  );
+  const victoryYTicks = getAxisTicks(yAxisType, victoryYDomain[0], victoryYDomain[1], 220, swaraSet);
+
   return (
-    <section style={styles.card} aria-label={`Pitch Graph ${index + 1}`}>
+    <section
+      style={isDragOver ? { ...styles.card, ...styles.cardDragOver } : styles.card}
+      aria-label={`Pitch Graph ${index + 1}`}
+      onDragOver={e => {
+        e.preventDefault();
+        if (!useSameFile) setIsDragOver(true);
+      }}
+      onDragLeave={() => setIsDragOver(false)}
+      onDrop={handleDrop}
+    >
       <h2 style={styles.cardTitle}>Pitch Graph {index + 1}</h2>
 
       {!useSameFile && (
         <>
           <label htmlFor={`file-input-${index}`} style={{ ...styles.fileLabel, marginRight: 12, display: 'inline-block' }}>
-            Select Pitch File (.txt or .csv)
+            Select Pitch File
           </label>
           <input
             type="file"
-            accept=".txt,.csv"
+            accept={PITCH_FILE_ACCEPT}
             id={`file-input-${index}`}
             onChange={e => onFileChange(index, e)}
             style={{ display: 'none' }}
             aria-label={`File upload input for pitch graph ${index + 1}`}
           />
-          {fileName && <div style={styles.fileName}>Loaded File: {fileName}</div>}
+          {fileName && (
+            <div style={styles.fileName}>
+              Loaded File: {fileName}
+              {fileFormat && <span style={styles.fileFormat}>{fileFormat}</span>}
+            </div>
+          )}
+          <div style={styles.controlsRow}>
+            <label htmlFor={`audio-input-${index}`} style={styles.fileLabel}>
+              Generate from Audio
+            </label>
+            <input
+              type="file"
+              accept={AUDIO_FILE_ACCEPT}
+              id={`audio-input-${index}`}
+              onChange={e => {
+                const file = e.target.files[0];
+                if (file) handleAudioFile(file);
+                e.target.value = null;
+              }}
+              style={{ display: 'none' }}
+              aria-label={`Audio file input for pitch graph ${index + 1}`}
+            />
+            {[
+              { key: 'hopMs', label: 'Hop (ms)', min: 1 },
+              { key: 'minFreq', label: 'Min (Hz)', min: 20 },
+              { key: 'maxFreq', label: 'Max (Hz)', min: 20 },
+            ].map(({ key, label, min }) => (
+              <div key={key} style={styles.miniInputGroup}>
+                <label htmlFor={`${key}-${index}`} style={styles.miniLabel}>{label}</label>
+                <input
+                  id={`${key}-${index}`}
+                  type="number"
+                  value={pitchTracking[key]}
+                  onChange={e => onPitchTrackingChange(key, e.target.value)}
+                  style={{ ...styles.miniInput, width: 80 }}
+                  min={min}
+                  step="any"
+                  disabled={audioProgress !== null}
+                />
+              </div>
+            ))}
+          </div>
+          {audioProgress !== null && (
+            <div style={styles.progressRow} role="status">
+              <progress value={audioProgress} max={1} style={{ flexGrow: 1 }} />
+              <span style={styles.miniLabel}>
+                {audioProgress === 0 ? 'Decoding…' : `${Math.round(audioProgress * 100)}%`}
+              </span>
+              <button style={styles.secondaryBtn} onClick={() => audioJobRef.current?.cancel()}>
+                Cancel
+              </button>
+            </div>
+          )}
         </>
       )}
 
@@ -339,29 +939,449 @@ const PitchGraphCard = ({
             aria-label={`Tonic input for pitch graph ${index + 1}`}
           />
         </div>
+        <button
+          style={{ ...styles.secondaryBtn, alignSelf: 'flex-end' }}
+          onClick={handleEstimateTonic}
+          disabled={!pitchData.length}
+        >
+          Estimate Tonic
+        </button>
       </div>
 
-      {/* Only the graph section for export */}
-      <div ref={graphOnlyRef} style={{ background: "#fff", borderRadius: 30, padding: 0 }}>
-        <div style={styles.chartWrapper}>
-          {graphType === 'victory' ? (
-            filteredData.length > 0 ? (
-              <VictoryChart
-                theme={VictoryTheme.material}
-                domain={{
-                  x: [Number(startTime), Number(endTime)],
-                  y: [
-                    Math.min(...filteredData.map(d => d.y)),
-                    Math.max(...filteredData.map(d => d.y))
-                  ]
-                }}
-                containerComponent={
-                  <VictoryVoronoiContainer
-                    labels={({ datum }) => `Time: ${datum.x.toFixed(2)} s\nCents: ${datum.y.toFixed(2)}`}
-                    labelComponent={<VictoryTooltip cornerRadius={4} flyoutStyle={{ fill: "white" }}/> }
-                  />
-                }
-                height={280}
+      {tonicEstimate && (
+        <div style={styles.tonicEstimate} role="status">
+          <span style={styles.miniLabel}>Sa candidates:</span>
+          {tonicEstimate.candidates.map(({ hz, confidence }, i) => (
+            <button
+              key={hz}
+              style={i === 0 ? styles.candidateBtnBest : styles.candidateBtn}
+              onClick={() => {
+                onTonicChange(index, String(hz));
+                setTonicEstimate(null);
+              }}
+              title="Use as tonic"
+            >
+              {hz.toFixed(2)} Hz · {Math.round(confidence * 100)}%
+            </button>
+          ))}
+          <button style={styles.linkBtn} onClick={() => setTonicEstimate(null)}>Dismiss</button>
+        </div>
+      )}
+
+      <div style={styles.controlsRow}>
+        <label htmlFor={`raga-${index}`} style={styles.miniLabel}>Raga</label>
+        <RagaSelect
+          id={`raga-${index}`}
+          value={ragaId}
+          onChange={value => onRagaChange(index, value)}
+          customRagas={customRagas}
+          defaultLabel="Session default"
+          style={{ ...styles.select, fontSize: 13, padding: '3px 8px', maxWidth: 220 }}
+        />
+      </div>
+
+      <div style={styles.controlsRow}>
+        <div style={{ ...styles.miniInputGroup, flex: 1, alignItems: 'stretch' }}>
+          <label htmlFor={`notes-${index}`} style={styles.miniLabel}>Notes (shown in reports)</label>
+          <textarea
+            id={`notes-${index}`}
+            value={notes}
+            onChange={e => onNotesChange(index, e.target.value)}
+            rows={2}
+            style={styles.notesInput}
+          />
+        </div>
+      </div>
+
+      <div style={styles.controlsRow}>
+        <div style={styles.miniInputGroup}>
+          <label htmlFor={`breakGap-${index}`} style={styles.miniLabel}>Break line at gaps &gt; (ms)</label>
+          <input
+            id={`breakGap-${index}`}
+            type="number"
+            min={0}
+            value={lineBreaks.maxGapMs}
+            onChange={e => onLineBreaksChange(index, { ...lineBreaks, maxGapMs: Number(e.target.value) })}
+            style={{ ...styles.miniInput, width: 80 }}
+            title="0 draws one continuous line"
+          />
+        </div>
+        <label style={{ ...styles.miniLabel, alignSelf: 'flex-end' }}>
+          <input
+            type="checkbox"
+            checked={lineBreaks.shadeSilences}
+            onChange={e => onLineBreaksChange(index, { ...lineBreaks, shadeSilences: e.target.checked })}
+            style={styles.inlineCheckbox}
+          />
+          Shade silences
+        </label>
+      </div>
+
+      <details style={styles.panel}>
+        <summary style={styles.panelSummary}>Smoothing &amp; Correction</summary>
+        <div style={styles.controlsRow}>
+          <label style={styles.miniLabel}>
+            <input
+              type="checkbox"
+              checked={processing.enabled}
+              onChange={e => onProcessingChange(index, { ...processing, enabled: e.target.checked })}
+              style={styles.inlineCheckbox}
+            />
+            Enable
+          </label>
+          <label style={styles.miniLabel}>
+            <input
+              type="checkbox"
+              checked={processing.octaveCorrection}
+              onChange={e => onProcessingChange(index, { ...processing, octaveCorrection: e.target.checked })}
+              style={styles.inlineCheckbox}
+            />
+            Octave-jump correction
+          </label>
+          <label style={styles.miniLabel}>
+            <input
+              type="checkbox"
+              checked={processing.showRaw}
+              onChange={e => onProcessingChange(index, { ...processing, showRaw: e.target.checked })}
+              style={styles.inlineCheckbox}
+            />
+            Show raw contour
+          </label>
+        </div>
+        <div style={styles.controlsRow}>
+          <div style={styles.miniInputGroup}>
+            <label htmlFor={`median-${index}`} style={styles.miniLabel}>Median (frames)</label>
+            <select
+              id={`median-${index}`}
+              value={processing.medianWindow}
+              onChange={e => onProcessingChange(index, { ...processing, medianWindow: Number(e.target.value) })}
+              style={{ ...styles.select, fontSize: 13, padding: '3px 8px' }}
+            >
+              {MEDIAN_WINDOWS.map(n => (
+                <option key={n} value={n}>{n === 1 ? 'Off' : n}</option>
+              ))}
+            </select>
+          </div>
+          <div style={styles.miniInputGroup}>
+            <label htmlFor={`minSegment-${index}`} style={styles.miniLabel}>Min voiced (ms)</label>
+            <input
+              id={`minSegment-${index}`}
+              type="number"
+              min={0}
+              value={processing.minSegmentMs}
+              onChange={e => onProcessingChange(index, { ...processing, minSegmentMs: Number(e.target.value) })}
+              style={{ ...styles.miniInput, width: 80 }}
+            />
+          </div>
+          <div style={styles.miniInputGroup}>
+            <label htmlFor={`maxGap-${index}`} style={styles.miniLabel}>Fill gaps ≤ (ms)</label>
+            <input
+              id={`maxGap-${index}`}
+              type="number"
+              min={0}
+              value={processing.maxGapMs}
+              onChange={e => onProcessingChange(index, { ...processing, maxGapMs: Number(e.target.value) })}
+              style={{ ...styles.miniInput, width: 80 }}
+            />
+          </div>
+        </div>
+        {processed.stats && (
+          <div style={styles.panelNote}>
+            {processed.stats.octaveCorrected} octave jumps corrected · {processed.stats.removed} frames removed
+            {' '}· {processed.stats.interpolated} frames interpolated
+          </div>
+        )}
+      </details>
+
+      <details style={styles.panel} onToggle={e => setShowHistogram(e.currentTarget.open)}>
+        <summary style={styles.panelSummary}>Pitch Distribution</summary>
+        {showHistogram && (
+          <HistogramPanel
+            index={index}
+            points={centsData}
+            swaraSet={swaraSet}
+            settings={histogram}
+            onSettingsChange={onHistogramChange}
+            graphType={graphType}
+          />
+        )}
+      </details>
+
+      <details style={styles.panel}>
+        <summary style={styles.panelSummary}>Note Segmentation</summary>
+        <div style={styles.controlsRow}>
+          <label style={{ ...styles.miniLabel, alignSelf: 'flex-end' }}>
+            <input
+              type="checkbox"
+              checked={segmentation.enabled}
+              onChange={e => onSegmentationChange(index, { ...segmentation, enabled: e.target.checked })}
+              style={styles.inlineCheckbox}
+            />
+            Show stable notes &amp; gamakas
+          </label>
+          <div style={styles.miniInputGroup}>
+            <label htmlFor={`noteTolerance-${index}`} style={styles.miniLabel}>Tolerance (±¢)</label>
+            <input
+              id={`noteTolerance-${index}`}
+              type="number"
+              min={1}
+              value={segmentation.toleranceCents}
+              onChange={e => onSegmentationChange(index, { ...segmentation, toleranceCents: Number(e.target.value) })}
+              style={{ ...styles.miniInput, width: 80 }}
+            />
+          </div>
+          <div style={styles.miniInputGroup}>
+            <label htmlFor={`noteMinDuration-${index}`} style={styles.miniLabel}>Min note (ms)</label>
+            <input
+              id={`noteMinDuration-${index}`}
+              type="number"
+              min={0}
+              value={segmentation.minDurationMs}
+              onChange={e => onSegmentationChange(index, { ...segmentation, minDurationMs: Number(e.target.value) })}
+              style={{ ...styles.miniInput, width: 80 }}
+            />
+          </div>
+        </div>
+        {segmentation.enabled && !centsData.length && (
+          <div style={styles.panelNote}>Enter a time window and tonic to segment the contour.</div>
+        )}
+      </details>
+
+      <details style={styles.panel}>
+        <summary style={styles.panelSummary}>Annotations ({annotations.length})</summary>
+        <div style={styles.controlsRow}>
+          <label htmlFor={`annotations-input-${index}`} style={styles.fileLabel}>Import Labels</label>
+          <input
+            type="file"
+            accept={ANNOTATION_FILE_ACCEPT}
+            id={`annotations-input-${index}`}
+            onChange={onAnnotationFileChange}
+            style={{ display: 'none' }}
+          />
+          <button
+            style={styles.secondaryBtn}
+            onClick={() => downloadText(formatAudacityLabels(annotations), `labels-${index + 1}.txt`, 'text/plain')}
+            disabled={!annotations.length}
+          >
+            Export Audacity Labels
+          </button>
+          <button
+            style={styles.secondaryBtn}
+            onClick={() => downloadText(formatTextGrid(annotations, fileExtent[1]), `labels-${index + 1}.TextGrid`, 'text/plain')}
+            disabled={!annotations.length}
+          >
+            Export TextGrid
+          </button>
+        </div>
+        {annotations.length ? (
+          <div style={styles.segmentTableWrapper}>
+            <table style={styles.statsTable}>
+              <thead>
+                <tr>
+                  <th style={styles.statsCell}>Type</th>
+                  <th style={styles.statsCell}>Start (s)</th>
+                  <th style={styles.statsCell}>End (s)</th>
+                  <th style={{ ...styles.statsCell, textAlign: 'left' }}>Label</th>
+                  <th style={styles.statsCell} />
+                </tr>
+              </thead>
+              <tbody>
+                {annotations.map((a, i) => (
+                  <tr key={i}>
+                    <td style={styles.statsCell}>{isPointAnnotation(a) ? 'Point' : 'Region'}</td>
+                    <td style={styles.statsCell}>
+                      <AnnotationTimeInput
+                        value={a.start}
+                        onCommit={time => updateAnnotationTime(i, 'start', time)}
+                        label={`Start of annotation ${i + 1}`}
+                      />
+                    </td>
+                    <td style={styles.statsCell}>
+                      {isPointAnnotation(a) ? '—' : (
+                        <AnnotationTimeInput
+                          value={a.end}
+                          onCommit={time => updateAnnotationTime(i, 'end', time)}
+                          label={`End of annotation ${i + 1}`}
+                        />
+                      )}
+                    </td>
+                    <td style={{ ...styles.statsCell, textAlign: 'left' }}>
+                      <input
+                        type="text"
+                        value={a.label}
+                        onChange={e => updateAnnotation(i, { label: e.target.value })}
+                        style={{ ...styles.annotationInput, width: '100%', textAlign: 'left' }}
+                        aria-label={`Label of annotation ${i + 1}`}
+                      />
+                    </td>
+                    <td style={styles.statsCell}>
+                      <button
+                        style={styles.linkBtn}
+                        onClick={() => onAnnotationsChange(index, annotations.filter((_, k) => k !== i))}
+                      >
+                        Delete
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <div style={styles.panelNote}>
+            Use Annotate to mark regions and points on the chart, or import an Audacity label track or Praat TextGrid.
+          </div>
+        )}
+      </details>
+
+      <details style={styles.panel}>
+        <summary style={styles.panelSummary}>Intonation Report</summary>
+        <div style={styles.controlsRow}>
+          <label style={styles.miniLabel}>
+            <input
+              type="checkbox"
+              checked={intonation.shade}
+              onChange={e => onIntonationChange(index, { ...intonation, shade: e.target.checked })}
+              style={styles.inlineCheckbox}
+            />
+            Shade deviation on chart
+          </label>
+        </div>
+        {centsData.length ? (
+          <>
+            <div style={styles.panelNote}>
+              Held notes use the Note Segmentation tolerance and minimum length. Offsets are in cents from the swara.
+            </div>
+            <table style={styles.statsTable}>
+              <thead>
+                <tr>
+                  <th style={styles.statsCell}>Swara</th>
+                  <th style={styles.statsCell}>Notes</th>
+                  <th style={styles.statsCell}>Time (s)</th>
+                  <th style={styles.statsCell}>Mean</th>
+                  <th style={styles.statsCell}>Median</th>
+                  <th style={styles.statsCell}>Spread</th>
+                </tr>
+              </thead>
+              <tbody>
+                {intonationReport.map(row => (
+                  <tr key={row.name}>
+                    <td style={styles.statsCell}>{row.name}</td>
+                    <td style={styles.statsCell}>{row.notes}</td>
+                    <td style={styles.statsCell}>{row.seconds.toFixed(2)}</td>
+                    <td
+                      style={row.meanOffset === null
+                        ? styles.statsCell
+                        : { ...styles.statsCell, background: INTONATION_FILLS[getIntonationLevel(row.meanOffset)] }}
+                    >
+                      {row.meanOffset === null ? '—' : `${row.meanOffset >= 0 ? '+' : ''}${row.meanOffset.toFixed(1)}`}
+                    </td>
+                    <td style={styles.statsCell}>
+                      {row.medianOffset === null ? '—' : `${row.medianOffset >= 0 ? '+' : ''}${row.medianOffset.toFixed(1)}`}
+                    </td>
+                    <td style={styles.statsCell}>{row.spread === null ? '—' : row.spread.toFixed(1)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </>
+        ) : (
+          <div style={styles.panelNote}>Enter a time window and tonic to measure intonation.</div>
+        )}
+      </details>
+
+      <div style={styles.controlsRow}>
+        <label htmlFor={`playback-audio-${index}`} style={styles.fileLabel}>
+          Attach Audio
+        </label>
+        <input
+          type="file"
+          accept={AUDIO_FILE_ACCEPT}
+          id={`playback-audio-${index}`}
+          onChange={e => {
+            const file = e.target.files[0];
+            if (file) {
+              handleStop();
+              onAudioChange(index, file);
+            }
+            e.target.value = null;
+          }}
+          style={{ display: 'none' }}
+          aria-label={`Playback audio input for pitch graph ${index + 1}`}
+        />
+        {audioName && (
+          <span style={styles.miniLabel}>
+            {audioName}
+            {!audioFile && ' (not attached, select it again)'}
+          </span>
+        )}
+      </div>
+      {audioUrl && (
+        <div style={styles.controlsRow}>
+          <audio ref={audioRef} src={audioUrl} preload="auto" onEnded={() => setIsPlaying(false)} />
+          {isPlaying ? (
+            <button style={styles.secondaryBtn} onClick={handlePause}>Pause</button>
+          ) : (
+            <button style={styles.secondaryBtn} onClick={handlePlay} disabled={!hasPlaybackWindow}>
+              Play
+            </button>
+          )}
+          <button style={styles.secondaryBtn} onClick={handleStop}>Stop</button>
+          <label style={styles.miniLabel}>
+            <input
+              type="checkbox"
+              checked={loopPlayback}
+              onChange={e => setLoopPlayback(e.target.checked)}
+              style={{ marginRight: 6, verticalAlign: 'middle' }}
+            />
+            Loop
+          </label>
+          <select
+            value={playbackRate}
+            onChange={e => setPlaybackRate(Number(e.target.value))}
+            style={{ ...styles.select, fontSize: 13, padding: '3px 8px' }}
+            aria-label={`Playback rate for pitch graph ${index + 1}`}
+          >
+            {PLAYBACK_RATES.map(rate => (
+              <option key={rate} value={rate}>{rate}×</option>
+            ))}
+          </select>
+          {playheadTime !== null && <span style={styles.miniLabel}>{playheadTime.toFixed(2)} s</span>}
+        </div>
+      )}
+
+      <div style={{ ...styles.controlsRow, marginBottom: 8 }}>
+        <button
+          style={annotating ? styles.exportBtn : styles.secondaryBtn}
+          onClick={() => setAnnotating(!annotating)}
+          disabled={!hasTimeWindow}
+          aria-pressed={annotating}
+        >
+          {annotating ? 'Annotating' : 'Annotate'}
+        </button>
+        {annotating && <span style={styles.miniLabel}>Drag on the chart to mark a region, click to place a point marker.</span>}
+      </div>
+
+      {/* Only the graph section for export */}
+      <div ref={graphOnlyRef} style={{ background: "#fff", borderRadius: 30, padding: 0 }}>
+        <div ref={chartAreaRef} style={styles.chartWrapper}>
+          {brush && <div style={{ ...styles.brushSelection, left: brush.x0, width: brush.x1 - brush.x0 }} />}
+          {graphType === 'victory' ? (
+            filteredData.length > 0 ? (
+              <VictoryChart
+                theme={VictoryTheme.material}
+                domain={{
+                  x: [Number(startTime), Number(endTime)],
+                  y: victoryYDomain
+                }}
+                containerComponent={
+                  <VictoryVoronoiContainer
+                    voronoiBlacklist={['playhead', /^raw/, /^outOfRaga/, /^silence/, /^note/, /^intonation/, /^annotation/]}
+                    labels={({ datum }) => `Time: ${datum.x.toFixed(2)} s\n${formatPitchTooltip(datum, yAxisType)}`}
+                    labelComponent={<VictoryTooltip cornerRadius={4} flyoutStyle={{ fill: "white" }}/> }
+                  />
+                }
+                height={280}
                 width={380}
                 padding={{ top: 30, bottom: 60, left: 80, right: 20 }}
               >
@@ -372,24 +1392,11 @@ const PitchGraphCard = ({
                 />
                 <VictoryAxis
                   dependentAxis
-                  label={yAxisType === 'swaras' ? 'Swaras' : 'Cents'}
-                  tickValues={(() => {
-                    const minY = Math.min(...filteredData.map(d => d.y));
-                    const maxY = Math.max(...filteredData.map(d => d.y));
-                    if (yAxisType === 'swaras') {
-                      return getSwaraTicks(minY, maxY, 40, 220).map(t => t.value);
-                    } else {
-                      return getYTicks(minY, maxY, 5);
-                    }
-                  })()}
+                  label={getAxisTitle(yAxisType)}
+                  tickValues={victoryYTicks.map(t => t.value)}
                   tickFormat={(y) => {
-                    if (yAxisType === 'swaras') {
-                      const ticks = getSwaraTicks(y, y, 40, 220);
-                      const tick = ticks.find(t => t.value === y);
-                      return tick ? tick.label : '';
-                    } else {
-                      return y.toFixed(1);
-                    }
+                    const tick = victoryYTicks.find(t => t.value === y);
+                    return tick ? tick.label : '';
                   }}
                   style={{
                     axisLabel: { padding: 60, fontWeight: 'bold', textAnchor: 'end' },
@@ -405,18 +1412,134 @@ const PitchGraphCard = ({
                     />
                   }
                 />
-                <VictoryLine
-                  data={filteredData}
-                  style={{
-                    data: { stroke: "#4f46e5", strokeWidth: 3 },
-                    parent: { border: "1px solid #ccc"}
-                  }}
-                  interpolation="monotoneX"
-                />
+                {silences.map(({ start, end }, i) => (
+                  <VictoryArea
+                    key={`silence-${i}`}
+                    name={`silence-${i}`}
+                    data={[
+                      { x: start, y: victoryYDomain[1], y0: victoryYDomain[0] },
+                      { x: end, y: victoryYDomain[1], y0: victoryYDomain[0] },
+                    ]}
+                    style={{ data: { fill: SILENCE_FILL } }}
+                  />
+                ))}
+                {noteSegments.map(({ type, start, end }, i) => (
+                  <VictoryArea
+                    key={`note-${i}`}
+                    name={`note-${i}`}
+                    data={[
+                      { x: start, y: victoryYDomain[1], y0: victoryYDomain[0] },
+                      { x: end, y: victoryYDomain[1], y0: victoryYDomain[0] },
+                    ]}
+                    style={{ data: { fill: type === 'stable' ? STABLE_NOTE_FILL : GAMAKA_FILL } }}
+                  />
+                ))}
+                {intonationBands.map(({ start, end, low, high, level }, i) => {
+                  const clamp = (v) => Math.min(Math.max(v, victoryYDomain[0]), victoryYDomain[1]);
+                  return (
+                    <VictoryArea
+                      key={`intonation-${i}`}
+                      name={`intonation-${i}`}
+                      data={[
+                        { x: start, y: clamp(high), y0: clamp(low) },
+                        { x: end, y: clamp(high), y0: clamp(low) },
+                      ]}
+                      style={{ data: { fill: INTONATION_FILLS[level], stroke: INTONATION_FILLS[level], strokeWidth: 1 } }}
+                    />
+                  );
+                })}
+                {noteSegments.some(s => s.swara) && (
+                  <VictoryScatter
+                    name="noteLabels"
+                    data={noteSegments
+                      .filter(s => s.swara)
+                      .map(s => ({ x: (s.start + s.end) / 2, y: victoryYDomain[1], label: s.swara }))}
+                    size={0}
+                    labels={({ datum }) => datum.label}
+                    labelComponent={<VictoryLabel dy={12} style={{ fontSize: 9, fill: NOTE_LABEL_COLOR }} />}
+                  />
+                )}
+                {shadeOutOfRaga && needsTonic &&
+                  getOutOfRagaBands(raga, tuning, victoryYDomain[0], victoryYDomain[1]).map(([low, high], i) => (
+                    <VictoryArea
+                      key={`outOfRaga-${i}`}
+                      name={`outOfRaga-${i}`}
+                      data={[
+                        { x: Number(startTime), y: high, y0: low },
+                        { x: Number(endTime), y: high, y0: low },
+                      ]}
+                      style={{ data: { fill: OUT_OF_RAGA_FILL } }}
+                    />
+                  ))}
+                {windowAnnotations.map((a, i) =>
+                  isPointAnnotation(a) ? (
+                    <VictoryLine
+                      key={`annotation-${i}`}
+                      name={`annotation-${i}`}
+                      data={[
+                        { x: a.start, y: victoryYDomain[0] },
+                        { x: a.start, y: victoryYDomain[1] },
+                      ]}
+                      style={{ data: { stroke: ANNOTATION_COLOR, strokeWidth: 1.5, strokeDasharray: '6,3' } }}
+                    />
+                  ) : (
+                    <VictoryArea
+                      key={`annotation-${i}`}
+                      name={`annotation-${i}`}
+                      data={[
+                        { x: clampToWindow(a.start), y: victoryYDomain[1], y0: victoryYDomain[0] },
+                        { x: clampToWindow(a.end), y: victoryYDomain[1], y0: victoryYDomain[0] },
+                      ]}
+                      style={{ data: { fill: ANNOTATION_FILL } }}
+                    />
+                  )
+                )}
+                {windowAnnotations.some(a => a.label) && (
+                  <VictoryScatter
+                    name="annotationLabels"
+                    data={windowAnnotations
+                      .filter(a => a.label)
+                      .map(a => ({ x: (clampToWindow(a.start) + clampToWindow(a.end)) / 2, y: victoryYDomain[0], label: a.label }))}
+                    size={0}
+                    labels={({ datum }) => datum.label}
+                    labelComponent={<VictoryLabel dy={-4} style={{ fontSize: 9, fill: ANNOTATION_COLOR }} />}
+                  />
+                )}
+                {victoryRawSegments.map((segment, i) => (
+                  <VictoryLine
+                    key={`raw-${i}`}
+                    name={`raw-${i}`}
+                    data={segment}
+                    style={{ data: { stroke: RAW_CONTOUR_COLOR, strokeWidth: 1.5 } }}
+                  />
+                ))}
+                {victorySegments.map((segment, i) => (
+                  <VictoryLine
+                    key={`segment-${i}`}
+                    data={segment}
+                    style={{
+                      data: { stroke: "#4f46e5", strokeWidth: 3 },
+                      parent: { border: "1px solid #ccc"}
+                    }}
+                    interpolation="monotoneX"
+                  />
+                ))}
+                {playheadTime !== null && playheadTime >= Number(startTime) && playheadTime <= Number(endTime) && (
+                  <VictoryLine
+                    name="playhead"
+                    data={[
+                      { x: playheadTime, y: victoryYDomain[0] },
+                      { x: playheadTime, y: victoryYDomain[1] },
+                    ]}
+                    style={{ data: { stroke: PLAYHEAD_COLOR, strokeWidth: 2 } }}
+                  />
+                )}
               </VictoryChart>
             ) : (
               <p style={{ textAlign: 'center', color: '#6b7280', marginTop: 100 }}>
-                Please upload a file and enter valid start/end times and tonic.
+                {needsTonic
+                  ? 'Please upload a file and enter valid start/end times and tonic.'
+                  : 'Please upload a file and enter valid start/end times.'}
               </p>
             )
           ) : (
@@ -424,96 +1547,1368 @@ const PitchGraphCard = ({
           )}
         </div>
       </div>
+      {overviewData.length > 1 && fileExtent[1] > fileExtent[0] && (
+        <div style={styles.overview}>
+          {graphType === 'victory' ? (
+            <VictoryChart
+              height={70}
+              width={380}
+              padding={{ top: 6, bottom: 22, left: 80, right: 20 }}
+              domain={{ x: fileExtent }}
+              containerComponent={
+                <VictoryBrushContainer
+                  brushDimension="x"
+                  brushDomain={hasTimeWindow ? { x: [Number(startTime), Number(endTime)] } : undefined}
+                  brushStyle={{ fill: '#4f46e5', fillOpacity: 0.15, stroke: '#4f46e5' }}
+                  onBrushDomainChangeEnd={(domain) => {
+                    const [s, e] = domain.x;
+                    if (e - s > (fileExtent[1] - fileExtent[0]) / 500) onTimeWindowChange(s, e);
+                  }}
+                />
+              }
+            >
+              <VictoryAxis
+                tickCount={6}
+                tickFormat={(tick) => `${Number(tick).toFixed(0)}`}
+                style={{ tickLabels: { fontSize: 9, padding: 2 } }}
+              />
+              <VictoryLine data={overviewData} style={{ data: { stroke: '#6366f1', strokeWidth: 1 } }} />
+            </VictoryChart>
+          ) : (
+            <OverviewCanvas
+              data={overviewData}
+              extent={fileExtent}
+              start={Number(startTime)}
+              end={Number(endTime)}
+              onChange={onTimeWindowChange}
+            />
+          )}
+        </div>
+      )}
+      {noteSegments.length > 0 && (
+        <div style={styles.segmentTableWrapper}>
+          <table style={styles.statsTable}>
+            <thead>
+              <tr>
+                <th style={styles.statsCell}>Type</th>
+                <th style={styles.statsCell}>Start (s)</th>
+                <th style={styles.statsCell}>End (s)</th>
+                <th style={styles.statsCell}>Swara</th>
+                <th style={styles.statsCell}>Mean (¢)</th>
+                <th style={styles.statsCell}>Dev. (¢)</th>
+                <th style={styles.statsCell}>Range (¢)</th>
+              </tr>
+            </thead>
+            <tbody>
+              {noteSegments.map((seg, i) => (
+                <tr key={i} style={{ background: seg.type === 'stable' ? STABLE_NOTE_FILL : GAMAKA_FILL }}>
+                  <td style={styles.statsCell}>{seg.type === 'stable' ? 'Note' : 'Gamaka'}</td>
+                  <td style={styles.statsCell}>{seg.start.toFixed(2)}</td>
+                  <td style={styles.statsCell}>{seg.end.toFixed(2)}</td>
+                  <td style={styles.statsCell}>{seg.swara || '—'}</td>
+                  <td style={styles.statsCell}>{seg.meanCents.toFixed(0)}</td>
+                  <td style={styles.statsCell}>
+                    {seg.deviation === null ? '—' : `${seg.deviation >= 0 ? '+' : ''}${seg.deviation.toFixed(1)}`}
+                  </td>
+                  <td style={styles.statsCell}>{seg.rangeCents.toFixed(0)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      <div style={{ ...styles.controlsRow, marginTop: 16, marginBottom: 0 }}>
+        <label htmlFor={`svgWidth-${index}`} style={styles.miniLabel}>SVG size (px)</label>
+        <input
+          id={`svgWidth-${index}`}
+          type="number"
+          min={SVG_SIZE_LIMITS.min}
+          max={SVG_SIZE_LIMITS.max}
+          value={svgExport.width}
+          onChange={e => setSvgExport({ ...svgExport, width: Number(e.target.value) })}
+          style={{ ...styles.miniInput, width: 80 }}
+          aria-label="SVG width"
+        />
+        <span style={styles.miniLabel}>×</span>
+        <input
+          id={`svgHeight-${index}`}
+          type="number"
+          min={SVG_SIZE_LIMITS.min}
+          max={SVG_SIZE_LIMITS.max}
+          value={svgExport.height}
+          onChange={e => setSvgExport({ ...svgExport, height: Number(e.target.value) })}
+          style={{ ...styles.miniInput, width: 80 }}
+          aria-label="SVG height"
+        />
+        <label style={styles.miniLabel} title="Include the Poppins font so the SVG looks the same without it installed">
+          <input
+            type="checkbox"
+            checked={svgExport.embedFont}
+            onChange={e => setSvgExport({ ...svgExport, embedFont: e.target.checked })}
+            style={styles.inlineCheckbox}
+          />
+          Embed font
+        </label>
+      </div>
       <div style={{ marginTop: 16, display: 'flex', gap: 10, justifyContent: 'center' }}>
         <button style={styles.exportBtn} onClick={handleExportImage}>Export Graph as Image</button>
+        <button style={styles.exportBtn} onClick={handleExportSvg} disabled={!filteredData.length}>Export SVG</button>
+        <button style={styles.exportBtn} onClick={handleExportData} disabled={!pitchData.length}>
+          Export Data ({getDataExportFormat(dataExport.format).label})
+        </button>
+        <button
+          style={styles.exportBtn}
+          onClick={() => downloadText(formatIntonationCsv(intonationReport), `intonation-${index + 1}.csv`, 'text/csv')}
+          disabled={!centsData.length}
+        >
+          Export Intonation CSV
+        </button>
       </div>
     </section>
   );
 };
 
-const PitchGraphMulti = () => {
-  const [numCards, setNumCards] = useState('');
-  const [useSameFile, setUseSameFile] = useState(false);
-  const [graphsData, setGraphsData] = useState([]);
-  const [graphType, setGraphType] = useState('victory');
-  const [yAxisType, setYAxisType] = useState('swaras');
-  const [sharedFileData, setSharedFileData] = useState({ pitchData: [], fileName: '' });
+// Overlays contours from several cards on shared axes: time relative to each
+// window start (plus offset) and cents above each source's Sa or the reference Sa
+const ComparisonCard = ({ cards, comparison, onComparisonChange, onClose, graphType, yAxisType, swaraSet }) => {
+  const { sources, referenceTonic } = comparison;
+  const [newSourceIndex, setNewSourceIndex] = useState('0');
+  const canvasRef = useRef(null);
+  const graphOnlyRef = useRef(null);
+  const axisType = isRelativeAxis(yAxisType) ? yAxisType : 'swaras';
+
+  const referenceTonicHz = getReferenceTonic(referenceTonic, sources, cards);
+  const series = useMemo(
+    () => buildComparisonSeries(sources, cards, referenceTonicHz),
+    [sources, cards, referenceTonicHz]
+  );
+  const plottedSeries = series.filter(s => s.points.length);
+  const allPoints = plottedSeries.flatMap(s => s.points);
+  const xDomain = allPoints.length
+    ? getExtent(allPoints.map(p => p.x))
+    : [0, 1];
+  const yDomain = allPoints.length
+    ? getExtent(allPoints.map(p => p.y))
+    : [0, 1];
+  if (xDomain[0] === xDomain[1]) xDomain[1] += 1;
+  if (yDomain[0] === yDomain[1]) yDomain[1] += 1;
+  // Long contours are drawn with about two points per chart unit
+  const plotted = plottedSeries.map(s => ({
+    ...s,
+    segments: decimateSegments(
+      splitAtGaps(s.points, cards[s.source.cardIndex].lineBreaks.maxGapMs),
+      xDomain[0],
+      xDomain[1],
+      COMPARISON_PLOT_WIDTH
+    ),
+  }));
+
+  const updateSource = (i, changes) => {
+    onComparisonChange({ ...comparison, sources: sources.map((s, j) => (j === i ? { ...s, ...changes } : s)) });
+  };
+
+  const addSource = () => {
+    onComparisonChange({ ...comparison, sources: [...sources, createComparisonSource(Number(newSourceIndex), sources)] });
+  };
+
+  const removeSource = (i) => {
+    onComparisonChange({ ...comparison, sources: sources.filter((_, j) => j !== i) });
+  };
 
   useEffect(() => {
-    if (numCards && Number(numCards) > 0) {
-      setGraphsData(
-        Array(Number(numCards)).fill(null).map(() => ({
-          pitchData: [],
-          startTime: '',
-          endTime: '',
-          tonic: '',
-          fileName: '',
-        }))
+    if (graphType !== 'canvas') return;
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    const rect = canvas.getBoundingClientRect();
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = rect.width * dpr;
+    canvas.height = rect.height * dpr;
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    const w = rect.width;
+    const h = rect.height;
+    ctx.clearRect(0, 0, w, h);
+    if (!plotted.length) {
+      ctx.fillStyle = '#4b5563';
+      ctx.font = '16px "Poppins", sans-serif';
+      ctx.textAlign = 'center';
+      ctx.fillText('Add cards with pitch data to compare', w / 2, h / 2);
+      return;
+    }
+
+    const marginLeft = 70;
+    const marginRight = 20;
+    const marginTop = 35;
+    const marginBottom = 45;
+    const drawWidth = w - marginLeft - marginRight;
+    const drawHeight = h - marginTop - marginBottom;
+    const toX = (t) => marginLeft + ((t - xDomain[0]) / (xDomain[1] - xDomain[0])) * drawWidth;
+    const toY = (v) => marginTop + drawHeight - ((v - yDomain[0]) / (yDomain[1] - yDomain[0])) * drawHeight;
+
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(marginLeft, marginTop, drawWidth, drawHeight);
+
+    ctx.save();
+    ctx.setLineDash([4, 4]);
+    ctx.font = '13px "Poppins", monospace';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    getAxisTicks(axisType, yDomain[0], yDomain[1], drawHeight, swaraSet).forEach(({ value, label }) => {
+      ctx.strokeStyle = '#a3a3a3';
+      ctx.beginPath();
+      ctx.moveTo(marginLeft, toY(value));
+      ctx.lineTo(marginLeft + drawWidth, toY(value));
+      ctx.stroke();
+      ctx.fillStyle = axisType === 'swaras' ? '#1e40af' : '#4b5563';
+      ctx.fillText(label, marginLeft - 18, toY(value));
+    });
+    ctx.restore();
+
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.font = '11px "Poppins", monospace';
+    ctx.fillStyle = '#4b5563';
+    for (let i = 0; i <= 8; i++) {
+      const t = xDomain[0] + ((xDomain[1] - xDomain[0]) * i) / 8;
+      ctx.fillText(t.toFixed(2), toX(t), marginTop + drawHeight + 10);
+    }
+
+    ctx.strokeStyle = '#cbd5e1';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(marginLeft, marginTop);
+    ctx.lineTo(marginLeft, marginTop + drawHeight);
+    ctx.lineTo(marginLeft + drawWidth, marginTop + drawHeight);
+    ctx.stroke();
+
+    ctx.lineWidth = 2;
+    plotted.forEach(({ source, segments }) => {
+      ctx.strokeStyle = source.color;
+      ctx.beginPath();
+      segments.forEach((segment) =>
+        segment.forEach((pt, i) => (i === 0 ? ctx.moveTo(toX(pt.x), toY(pt.y)) : ctx.lineTo(toX(pt.x), toY(pt.y))))
       );
-    } else {
-      setGraphsData([]);
+      ctx.stroke();
+    });
+    // eslint-disable-next-line
+  }, [series, graphType, axisType, swaraSet]);
+
+  const yTicks = getAxisTicks(axisType, yDomain[0], yDomain[1], 260, swaraSet);
+
+  const handleExportImage = async () => {
+    if (graphOnlyRef.current) {
+      const canvas = await html2canvas(graphOnlyRef.current, { backgroundColor: "#fff" });
+      const link = document.createElement('a');
+      link.download = 'pitch-comparison.png';
+      link.href = canvas.toDataURL('image/png');
+      link.click();
+    }
+  };
+
+  return (
+    <section style={{ ...styles.card, ...styles.wideCard }} aria-label="Comparison">
+      <h2 style={styles.cardTitle}>Comparison</h2>
+
+      <div style={styles.controlsRow}>
+        <select
+          value={newSourceIndex}
+          onChange={e => setNewSourceIndex(e.target.value)}
+          style={{ ...styles.select, fontSize: 13, padding: '3px 8px' }}
+          aria-label="Card to add to the comparison"
+        >
+          {cards.map((card, i) => (
+            <option key={i} value={i}>Card {i + 1}{card.fileName ? ` · ${card.fileName}` : ''}</option>
+          ))}
+        </select>
+        <button style={styles.secondaryBtn} onClick={addSource} disabled={!cards.length}>Add to Comparison</button>
+        <div style={styles.miniInputGroup}>
+          <label htmlFor="comparison-reference" style={styles.miniLabel}>Reference Sa (Hz)</label>
+          <input
+            id="comparison-reference"
+            type="number"
+            min={1}
+            step="any"
+            value={referenceTonic}
+            onChange={e => onComparisonChange({ ...comparison, referenceTonic: e.target.value })}
+            placeholder={referenceTonicHz ? referenceTonicHz.toFixed(2) : 'first card'}
+            style={{ ...styles.miniInput, width: 110 }}
+          />
+        </div>
+      </div>
+
+      {series.map(({ source, label, error }, i) => (
+        <div key={i} style={styles.comparisonSource}>
+          <input
+            type="color"
+            value={source.color}
+            onChange={e => updateSource(i, { color: e.target.value })}
+            aria-label={`Color for ${label}`}
+            style={styles.colorInput}
+          />
+          <span style={styles.comparisonLabel}>{label}</span>
+          <label style={styles.miniLabel}>
+            Offset (s)
+            <input
+              type="number"
+              step="any"
+              value={source.offset}
+              onChange={e => updateSource(i, { offset: Number(e.target.value) })}
+              style={{ ...styles.miniInput, width: 80, marginLeft: 6 }}
+            />
+          </label>
+          <label style={styles.miniLabel}>
+            <input
+              type="checkbox"
+              checked={source.normalizeTonic}
+              onChange={e => updateSource(i, { normalizeTonic: e.target.checked })}
+              style={styles.inlineCheckbox}
+            />
+            Relative to own Sa
+          </label>
+          <button style={styles.linkBtn} onClick={() => removeSource(i)}>Remove</button>
+          {error && <span style={styles.errorText}>{error}</span>}
+        </div>
+      ))}
+
+      <div ref={graphOnlyRef} style={{ background: "#fff", borderRadius: 30, padding: '0 0 8px' }}>
+        <div style={styles.comparisonChart}>
+          {graphType === 'victory' ? (
+            plotted.length > 0 ? (
+              <VictoryChart
+                theme={VictoryTheme.material}
+                domain={{ x: xDomain, y: yDomain }}
+                containerComponent={
+                  <VictoryVoronoiContainer
+                    labels={({ datum }) => `${datum.series}\nTime: ${datum.x.toFixed(2)} s\n${formatPitchTooltip(datum, 'cents')}`}
+                    labelComponent={<VictoryTooltip cornerRadius={4} flyoutStyle={{ fill: "white" }}/> }
+                  />
+                }
+                height={320}
+                width={760}
+                padding={{ top: 30, bottom: 60, left: 80, right: 20 }}
+              >
+                <VictoryAxis
+                  label="Time from window start (s)"
+                  tickFormat={(tick) => `${tick.toFixed(2)}`}
+                  style={{ axisLabel: { padding: 40, fontWeight: 'bold' } }}
+                />
+                <VictoryAxis
+                  dependentAxis
+                  label={getAxisTitle(axisType)}
+                  tickValues={yTicks.map(t => t.value)}
+                  tickFormat={(y) => {
+                    const tick = yTicks.find(t => t.value === y);
+                    return tick ? tick.label : '';
+                  }}
+                  style={{
+                    axisLabel: { padding: 60, fontWeight: 'bold', textAnchor: 'end' },
+                    tickLabels: { fontWeight: 600, fill: '#1e40af', textAnchor: 'end', dx: -18 },
+                    grid: { stroke: "#a3a3a3", strokeDasharray: "4,4" }
+                  }}
+                />
+                {plotted.flatMap(({ source, segments }, i) =>
+                  segments.map((segment, j) => (
+                    <VictoryLine
+                      key={`${i}-${j}`}
+                      data={segment}
+                      style={{ data: { stroke: source.color, strokeWidth: 2 } }}
+                      interpolation="monotoneX"
+                    />
+                  ))
+                )}
+              </VictoryChart>
+            ) : (
+              <p style={{ textAlign: 'center', color: '#6b7280', marginTop: 120 }}>
+                Add cards with pitch data to compare.
+              </p>
+            )
+          ) : (
+            <canvas ref={canvasRef} style={{ width: '100%', height: '320px', background: "#fff" }} />
+          )}
+        </div>
+        {plotted.length > 0 && (
+          <div style={styles.legend}>
+            {plotted.map(({ source, label }, i) => (
+              <span key={i} style={styles.legendItem}>
+                <span style={{ ...styles.legendSwatch, background: source.color }} />
+                {label}
+                {source.offset ? ` (${source.offset > 0 ? '+' : ''}${source.offset} s)` : ''}
+                {source.normalizeTonic ? '' : ' · ref Sa'}
+              </span>
+            ))}
+          </div>
+        )}
+      </div>
+      <div style={{ marginTop: 16, display: 'flex', gap: 10, justifyContent: 'center' }}>
+        <button style={styles.exportBtn} onClick={handleExportImage}>Export Graph as Image</button>
+        <button style={styles.secondaryBtn} onClick={onClose}>Close Comparison</button>
+      </div>
+    </section>
+  );
+};
+
+// Line chart for the analysis cards, drawn with Victory or on a canvas like
+// the pitch cards. series: [{ key, data: [{ x, y }], color, width, dashed }]
+const PanelChart = ({ graphType, series, xLabel, yLabel, yTicks, height = 220, width = 760, formatTooltip }) => {
+  const canvasRef = useRef(null);
+  const allPoints = series.flatMap(s => s.data);
+  const xDomain = allPoints.length
+    ? getExtent(allPoints.map(p => p.x))
+    : [0, 1];
+  const yDomain = allPoints.length
+    ? getExtent(allPoints.map(p => p.y))
+    : [0, 1];
+  if (xDomain[0] === xDomain[1]) xDomain[1] += 1;
+  if (yDomain[0] === yDomain[1]) yDomain[1] += 1;
+  const ticks = yTicks || getYTicks(yDomain[0], yDomain[1], 4).map(value => ({ value, label: value.toFixed(0) }));
+
+  useEffect(() => {
+    if (graphType !== 'canvas') return;
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    const rect = canvas.getBoundingClientRect();
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = rect.width * dpr;
+    canvas.height = rect.height * dpr;
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    const w = rect.width;
+    const h = rect.height;
+    const marginLeft = 70;
+    const marginRight = 20;
+    const marginTop = 20;
+    const marginBottom = 40;
+    const drawWidth = w - marginLeft - marginRight;
+    const drawHeight = h - marginTop - marginBottom;
+    const toX = (x) => marginLeft + ((x - xDomain[0]) / (xDomain[1] - xDomain[0])) * drawWidth;
+    const toY = (y) => marginTop + drawHeight - ((y - yDomain[0]) / (yDomain[1] - yDomain[0])) * drawHeight;
+    ctx.clearRect(0, 0, w, h);
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(marginLeft, marginTop, drawWidth, drawHeight);
+
+    ctx.save();
+    ctx.setLineDash([4, 4]);
+    ctx.font = '12px "Poppins", monospace';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    ticks.forEach(({ value, label }) => {
+      if (value < yDomain[0] || value > yDomain[1]) return;
+      ctx.strokeStyle = '#a3a3a3';
+      ctx.beginPath();
+      ctx.moveTo(marginLeft, toY(value));
+      ctx.lineTo(marginLeft + drawWidth, toY(value));
+      ctx.stroke();
+      ctx.fillStyle = '#1e40af';
+      ctx.fillText(label, marginLeft - 10, toY(value));
+    });
+    ctx.restore();
+
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.font = '11px "Poppins", monospace';
+    ctx.fillStyle = '#4b5563';
+    for (let i = 0; i <= 8; i++) {
+      const x = xDomain[0] + ((xDomain[1] - xDomain[0]) * i) / 8;
+      ctx.fillText(x.toFixed(2), toX(x), marginTop + drawHeight + 6);
+    }
+    ctx.font = 'bold 12px "Poppins", sans-serif';
+    ctx.fillText(xLabel, marginLeft + drawWidth / 2, h - 16);
+    ctx.save();
+    ctx.translate(14, marginTop + drawHeight / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.fillText(yLabel, 0, 0);
+    ctx.restore();
+
+    ctx.strokeStyle = '#cbd5e1';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(marginLeft, marginTop);
+    ctx.lineTo(marginLeft, marginTop + drawHeight);
+    ctx.lineTo(marginLeft + drawWidth, marginTop + drawHeight);
+    ctx.stroke();
+
+    series.forEach(({ data, color, width: lineWidth = 2, dashed }) => {
+      ctx.save();
+      ctx.strokeStyle = color;
+      ctx.lineWidth = lineWidth;
+      if (dashed) ctx.setLineDash([6, 4]);
+      ctx.beginPath();
+      data.forEach((pt, i) => (i === 0 ? ctx.moveTo(toX(pt.x), toY(pt.y)) : ctx.lineTo(toX(pt.x), toY(pt.y))));
+      ctx.stroke();
+      ctx.restore();
+    });
+    // eslint-disable-next-line
+  }, [graphType, series, xLabel, yLabel, yTicks]);
+
+  if (graphType === 'canvas') {
+    return <canvas ref={canvasRef} style={{ width: '100%', height, background: '#fff' }} />;
+  }
+  return (
+    <VictoryChart
+      theme={VictoryTheme.material}
+      domain={{ x: xDomain, y: yDomain }}
+      containerComponent={
+        formatTooltip ? (
+          <VictoryVoronoiContainer
+            voronoiBlacklist={[/^guide/]}
+            labels={({ datum }) => formatTooltip(datum)}
+            labelComponent={<VictoryTooltip cornerRadius={4} flyoutStyle={{ fill: "white" }}/> }
+          />
+        ) : undefined
+      }
+      height={height}
+      width={width}
+      padding={{ top: 20, bottom: 50, left: 80, right: 20 }}
+    >
+      <VictoryAxis
+        label={xLabel}
+        tickFormat={(tick) => `${tick.toFixed(2)}`}
+        style={{ axisLabel: { padding: 32, fontWeight: 'bold' } }}
+      />
+      <VictoryAxis
+        dependentAxis
+        label={yLabel}
+        tickValues={ticks.map(t => t.value)}
+        tickFormat={(y) => {
+          const tick = ticks.find(t => t.value === y);
+          return tick ? tick.label : '';
+        }}
+        style={{
+          axisLabel: { padding: 60, fontWeight: 'bold' },
+          tickLabels: { fontWeight: 600, fill: '#1e40af' },
+          grid: { stroke: "#a3a3a3", strokeDasharray: "4,4" }
+        }}
+      />
+      {series.map(({ key, data, color, width: lineWidth = 2, dashed }) => (
+        <VictoryLine
+          key={key}
+          name={key}
+          data={data}
+          style={{ data: { stroke: color, strokeWidth: lineWidth, strokeDasharray: dashed ? '6,4' : undefined } }}
+        />
+      ))}
+    </VictoryChart>
+  );
+};
+
+// DTW alignment of one card's contour (query) onto another's (reference), in
+// cents above each card's own Sa
+const AlignmentCard = ({ cards, alignment, onAlignmentChange, onClose, graphType, yAxisType, swaraSet }) => {
+  const { referenceIndex, queryIndex } = alignment;
+  const graphOnlyRef = useRef(null);
+  const axisType = isRelativeAxis(yAxisType) ? yAxisType : 'swaras';
+
+  const [reference, query] = useMemo(
+    () =>
+      buildComparisonSeries(
+        [referenceIndex, queryIndex].map(cardIndex => ({ cardIndex, offset: 0, normalizeTonic: true })),
+        cards,
+        null
+      ),
+    [referenceIndex, queryIndex, cards]
+  );
+  const result = useMemo(() => alignContours(reference.points, query.points), [reference, query]);
+
+  // The reference card can be gone for a render while the card count shrinks
+  const referenceGap = cards[referenceIndex]?.lineBreaks.maxGapMs ?? DEFAULT_LINE_BREAKS.maxGapMs;
+  const contourTicks = result
+    ? (() => {
+      const [min, max] = getExtent([...reference.points, ...result.aligned].map(p => p.y));
+      return getAxisTicks(axisType, min, max, 150, swaraSet);
+    })()
+    : null;
+
+  const handleExportImage = async () => {
+    if (graphOnlyRef.current) {
+      const canvas = await html2canvas(graphOnlyRef.current, { backgroundColor: "#fff" });
+      const link = document.createElement('a');
+      link.download = 'pitch-alignment.png';
+      link.href = canvas.toDataURL('image/png');
+      link.click();
+    }
+  };
+
+  const cardSelect = (id, label, value, key) => (
+    <div style={styles.miniInputGroup}>
+      <label htmlFor={id} style={styles.miniLabel}>{label}</label>
+      <select
+        id={id}
+        value={value}
+        onChange={e => onAlignmentChange({ ...alignment, [key]: Number(e.target.value) })}
+        style={{ ...styles.select, fontSize: 13, padding: '3px 8px' }}
+      >
+        {cards.map((card, i) => (
+          <option key={i} value={i}>Card {i + 1}{card.fileName ? ` · ${card.fileName}` : ''}</option>
+        ))}
+      </select>
+    </div>
+  );
+
+  return (
+    <section style={{ ...styles.card, ...styles.wideCard }} aria-label="Alignment">
+      <h2 style={styles.cardTitle}>Alignment (DTW)</h2>
+      <div style={styles.controlsRow}>
+        {cardSelect('alignment-reference', 'Reference', referenceIndex, 'referenceIndex')}
+        {cardSelect('alignment-query', 'Aligned', queryIndex, 'queryIndex')}
+      </div>
+      {[reference, query].map(({ label, error }) =>
+        error ? <div key={label} style={styles.errorText}>{label}: {error}</div> : null
+      )}
+
+      {result && (
+        <div ref={graphOnlyRef} style={{ background: "#fff", borderRadius: 30, padding: '12px 0', width: '100%' }}>
+          <div style={styles.alignmentScore} role="status">
+            DTW distance: {result.score.toFixed(1)} ¢ mean |Δ| · {result.rms.toFixed(1)} ¢ RMS · {result.path.length} steps
+          </div>
+          <div style={styles.legend}>
+            <span style={styles.legendItem}>
+              <span style={{ ...styles.legendSwatch, background: COMPARISON_COLORS[0] }} />
+              {reference.label}
+            </span>
+            <span style={styles.legendItem}>
+              <span style={{ ...styles.legendSwatch, background: COMPARISON_COLORS[1] }} />
+              {query.label} (warped)
+            </span>
+          </div>
+          <h3 style={styles.panelHeading}>Aligned overlay</h3>
+          <div style={styles.panelChart}>
+            <PanelChart
+              graphType={graphType}
+              series={[
+                ...splitAtGaps(reference.points, referenceGap).map((data, i) => ({
+                  key: `reference-${i}`,
+                  data,
+                  color: COMPARISON_COLORS[0],
+                })),
+                ...splitAtGaps(result.aligned, referenceGap).map((data, i) => ({
+                  key: `aligned-${i}`,
+                  data,
+                  color: COMPARISON_COLORS[1],
+                })),
+              ]}
+              xLabel="Reference time (s)"
+              yLabel={getAxisTitle(axisType)}
+              yTicks={contourTicks}
+              formatTooltip={datum => `Time: ${datum.x.toFixed(2)} s\nCents: ${datum.y.toFixed(1)}`}
+            />
+          </div>
+          <h3 style={styles.panelHeading}>Warping path</h3>
+          <div style={styles.panelChart}>
+            <PanelChart
+              graphType={graphType}
+              series={[
+                {
+                  key: 'guide-diagonal',
+                  data: [
+                    { x: result.path[0].x, y: result.path[0].x },
+                    { x: result.path[result.path.length - 1].x, y: result.path[result.path.length - 1].x },
+                  ],
+                  color: '#a3a3a3',
+                  width: 1,
+                  dashed: true,
+                },
+                { key: 'path', data: result.path, color: '#4b5563' },
+              ]}
+              xLabel="Reference time (s)"
+              yLabel="Aligned time (s)"
+              yTicks={getYTicks(
+                Math.min(result.path[0].x, result.path[0].y),
+                Math.max(result.path[result.path.length - 1].x, result.path[result.path.length - 1].y),
+                4
+              ).map(value => ({ value, label: value.toFixed(2) }))}
+              formatTooltip={datum => `Reference: ${datum.x.toFixed(2)} s\nAligned: ${datum.y.toFixed(2)} s`}
+            />
+          </div>
+          <h3 style={styles.panelHeading}>Deviation (aligned − reference)</h3>
+          <div style={styles.panelChart}>
+            <PanelChart
+              graphType={graphType}
+              series={[
+                {
+                  key: 'guide-zero',
+                  data: [{ x: result.deviation[0].x, y: 0 }, { x: result.deviation[result.deviation.length - 1].x, y: 0 }],
+                  color: '#a3a3a3',
+                  width: 1,
+                  dashed: true,
+                },
+                ...splitAtGaps(result.deviation, referenceGap).map((data, i) => ({
+                  key: `deviation-${i}`,
+                  data,
+                  color: COMPARISON_COLORS[2],
+                })),
+              ]}
+              xLabel="Reference time (s)"
+              yLabel="Cents"
+              formatTooltip={datum => `Time: ${datum.x.toFixed(2)} s\nΔ: ${datum.y.toFixed(1)} ¢`}
+            />
+          </div>
+        </div>
+      )}
+      <div style={{ marginTop: 16, display: 'flex', gap: 10, justifyContent: 'center' }}>
+        <button style={styles.exportBtn} onClick={handleExportImage} disabled={!result}>Export Graph as Image</button>
+        <button style={styles.secondaryBtn} onClick={onClose}>Close Alignment</button>
+      </div>
+    </section>
+  );
+};
+
+// Grid cell of every card, rendering children(onScreen). When virtualized,
+// onScreen is true only while the cell is within a screen or so of the
+// viewport, and the cell keeps the card's last height meanwhile. Cards stay
+// mounted either way so playback, open panels and running jobs carry on.
+const LazyCard = ({ virtualized, children }) => {
+  const ref = useRef(null);
+  const heightRef = useRef(CARD_PLACEHOLDER_HEIGHT);
+  const [visible, setVisible] = useState(!virtualized || typeof IntersectionObserver === 'undefined');
+
+  useEffect(() => {
+    if (!virtualized || typeof IntersectionObserver === 'undefined') {
+      setVisible(true);
+      return;
+    }
+    const element = ref.current;
+    const observer = new IntersectionObserver(
+      ([entry]) => {
+        // Measured while the card is still rendered
+        if (!entry.isIntersecting && element.offsetHeight) heightRef.current = element.offsetHeight;
+        setVisible(entry.isIntersecting);
+      },
+      { rootMargin: '1000px 0px' }
+    );
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, [virtualized]);
+
+  return (
+    <div ref={ref} style={visible ? styles.lazyCell : { ...styles.lazyCell, minHeight: heightRef.current }}>
+      {children(visible)}
+    </div>
+  );
+};
+
+// Intervals of an imported label file or TextGrid tier. Each one can set the
+// target card's time window, or the selected ones become new cards.
+const LabelsCard = ({ labels, cards, onApply, onCreateCards, onClose }) => {
+  const [tierIndex, setTierIndex] = useState(0);
+  const [targetIndex, setTargetIndex] = useState(0);
+  const [selected, setSelected] = useState([]);
+  const tier = labels.tiers[Math.min(tierIndex, labels.tiers.length - 1)];
+  // Point markers have no span to use as a window
+  const intervals = tier.annotations.filter((a) => !isPointAnnotation(a));
+  // The chosen card, kept in range when cards are removed
+  const cardIndex = Math.min(targetIndex, Math.max(0, cards.length - 1));
+  const target = cards[cardIndex];
+  const isTargetWindow = (a) =>
+    !!target && target.startTime === formatTime(a.start) && target.endTime === formatTime(a.end);
+
+  const toggleSelected = (i, checked) => {
+    setSelected((prev) => (checked ? [...prev, i].sort((a, b) => a - b) : prev.filter((k) => k !== i)));
+  };
+
+  return (
+    <section style={{ ...styles.card, ...styles.wideCard }} aria-label="Phrase labels">
+      <h2 style={styles.cardTitle}>Phrase Labels</h2>
+      <div style={styles.panelNote}>{labels.fileName}</div>
+
+      <div style={styles.controlsRow}>
+        {labels.tiers.length > 1 && (
+          <label style={styles.miniLabel}>
+            Tier{' '}
+            <select
+              value={tierIndex}
+              onChange={e => {
+                setTierIndex(Number(e.target.value));
+                setSelected([]);
+              }}
+              style={{ ...styles.select, fontSize: 13, padding: '3px 8px' }}
+            >
+              {labels.tiers.map((t, i) => (
+                <option key={i} value={i}>{t.name}</option>
+              ))}
+            </select>
+          </label>
+        )}
+        <label style={styles.miniLabel}>
+          Set window of{' '}
+          <select
+            value={cardIndex}
+            onChange={e => setTargetIndex(Number(e.target.value))}
+            style={{ ...styles.select, fontSize: 13, padding: '3px 8px' }}
+            disabled={!cards.length}
+          >
+            {cards.map((card, i) => (
+              <option key={i} value={i}>Card {i + 1}{card.fileName ? ` · ${card.fileName}` : ''}</option>
+            ))}
+          </select>
+        </label>
+        <button
+          style={styles.secondaryBtn}
+          onClick={() => setSelected(selected.length === intervals.length ? [] : intervals.map((_, i) => i))}
+          disabled={!intervals.length}
+        >
+          {selected.length === intervals.length && intervals.length ? 'Select None' : 'Select All'}
+        </button>
+        <button
+          style={styles.exportBtn}
+          onClick={() => onCreateCards(intervals.filter((_, i) => selected.includes(i)), cardIndex)}
+          disabled={!selected.length}
+        >
+          Create Cards from Selected ({selected.length})
+        </button>
+      </div>
+
+      {intervals.length ? (
+        <div style={{ ...styles.segmentTableWrapper, maxHeight: 360 }}>
+          <table style={styles.statsTable}>
+            <thead>
+              <tr>
+                <th style={styles.statsCell} />
+                <th style={styles.statsCell}>#</th>
+                <th style={{ ...styles.statsCell, textAlign: 'left' }}>Label</th>
+                <th style={styles.statsCell}>Start (s)</th>
+                <th style={styles.statsCell}>End (s)</th>
+                <th style={styles.statsCell}>Duration (s)</th>
+                <th style={styles.statsCell} />
+              </tr>
+            </thead>
+            <tbody>
+              {intervals.map((a, i) => (
+                <tr key={i} style={isTargetWindow(a) ? styles.activeRow : undefined}>
+                  <td style={styles.statsCell}>
+                    <input
+                      type="checkbox"
+                      checked={selected.includes(i)}
+                      onChange={e => toggleSelected(i, e.target.checked)}
+                      aria-label={`Select interval ${i + 1}`}
+                    />
+                  </td>
+                  <td style={styles.statsCell}>{i + 1}</td>
+                  <td style={{ ...styles.statsCell, textAlign: 'left' }}>{a.label}</td>
+                  <td style={styles.statsCell}>{a.start.toFixed(3)}</td>
+                  <td style={styles.statsCell}>{a.end.toFixed(3)}</td>
+                  <td style={styles.statsCell}>{(a.end - a.start).toFixed(3)}</td>
+                  <td style={styles.statsCell}>
+                    <button style={styles.linkBtn} onClick={() => onApply(cardIndex, a)} disabled={!cards.length}>
+                      Set Card {cardIndex + 1} Window
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <div style={styles.panelNote}>This tier has no labelled intervals.</div>
+      )}
+
+      <div style={{ marginTop: 16, display: 'flex', gap: 10, justifyContent: 'center' }}>
+        <button style={styles.secondaryBtn} onClick={onClose}>Close Labels</button>
+      </div>
+    </section>
+  );
+};
+
+const PitchGraphMulti = () => {
+  const [numCards, setNumCards] = useState('');
+  const [useSameFile, setUseSameFile] = useState(false);
+  const [graphsData, setGraphsData] = useState([]);
+  const [graphType, setGraphType] = useState('victory');
+  const [yAxisType, setYAxisType] = useState('swaras');
+  const [sharedFileData, setSharedFileData] = useState({ pitchData: [], fileName: '', fileFormat: '' });
+  const [sessionRagaId, setSessionRagaId] = useState('');
+  const [customRagas, setCustomRagas] = useState([]);
+  const [shadeOutOfRaga, setShadeOutOfRaga] = useState(false);
+  const [tuningId, setTuningId] = useState(DEFAULT_TUNING.id);
+  const [customTuningText, setCustomTuningText] = useState(formatTuningTable(DEFAULT_TUNING.positions));
+  // { sources, referenceTonic } while the comparison card is open
+  const [comparison, setComparison] = useState(null);
+  // { referenceIndex, queryIndex } while the alignment card is open
+  const [alignment, setAlignment] = useState(null);
+  // Autosave: this tab's record id, the stored sessions and the startup prompt
+  const workspaceIdRef = useRef(createWorkspaceId());
+  const [recentSessions, setRecentSessions] = useState([]);
+  const [restorePrompt, setRestorePrompt] = useState(null);
+  const [autosaveError, setAutosaveError] = useState('');
+  // Layout from a shared link, read once, and the files it names that are not loaded yet
+  const [linkedState] = useState(() => decodeUrlState(window.location.hash));
+  const [missingFiles, setMissingFiles] = useState([]);
+  const [linkCopied, setLinkCopied] = useState(false);
+  const [report, setReport] = useState(DEFAULT_REPORT);
+  const [dataExport, setDataExport] = useState(DEFAULT_DATA_EXPORT);
+  // { fileName, tiers } of an imported label file while its card is open
+  const [labels, setLabels] = useState(null);
+  const [phraseSplit, setPhraseSplit] = useState(DEFAULT_PHRASE_SPLIT);
+  // Pitch files being parsed, [{ id, fileName, progress }], and their jobs by id
+  const [fileLoads, setFileLoads] = useState([]);
+  const fileJobsRef = useRef({});
+  const nextLoadIdRef = useRef(0);
+  const cardLimit = useSameFile ? Infinity : MAX_CARDS;
+
+  // An invalid custom table keeps the default tuning and shows the error
+  const [tuning, customTuningError] = (() => {
+    if (tuningId !== 'custom') return [TUNING_SYSTEMS.find((t) => t.id === tuningId) || DEFAULT_TUNING, ''];
+    try {
+      return [parseCustomTuning(customTuningText), ''];
+    } catch (err) {
+      return [DEFAULT_TUNING, err.message];
+    }
+  })();
+
+  // Cards as the comparison and alignment cards read them, with the shared file applied
+  const comparisonCards = useMemo(
+    () =>
+      graphsData.map((g) =>
+        useSameFile ? { ...g, pitchData: sharedFileData.pitchData, fileName: sharedFileData.fileName } : g
+      ),
+    [graphsData, useSameFile, sharedFileData]
+  );
+
+  // Existing cards are kept when the count changes (and when a session is opened)
+  useEffect(() => {
+    if (numCards && Number(numCards) > 0) {
+      setGraphsData((prev) => Array.from({ length: Number(numCards) }, (_, i) => prev[i] || createCard()));
+    } else {
+      setGraphsData([]);
+    }
+    setComparison((prev) => prev && { ...prev, sources: prev.sources.filter((s) => s.cardIndex < Number(numCards)) });
+    setAlignment((prev) => (prev && Math.max(prev.referenceIndex, prev.queryIndex) < Number(numCards) ? prev : null));
+  }, [numCards]);
+
+  const serializeCurrentSession = () =>
+    serializeSession({
+      useSameFile,
+      graphsData,
+      graphType,
+      yAxisType,
+      sharedFileData,
+      sessionRagaId,
+      customRagas,
+      shadeOutOfRaga,
+      tuningId,
+      customTuningText,
+      comparison,
+      alignment,
+    });
+
+  const applySession = (session) => {
+    setNumCards(session.numCards);
+    setUseSameFile(session.useSameFile);
+    setGraphsData(session.graphsData);
+    setGraphType(session.graphType);
+    setYAxisType(session.yAxisType);
+    setSharedFileData(session.sharedFileData);
+    setSessionRagaId(session.sessionRagaId);
+    setCustomRagas(session.customRagas);
+    setShadeOutOfRaga(session.shadeOutOfRaga);
+    setTuningId(session.tuningId);
+    setCustomTuningText(session.customTuningText);
+    setComparison(session.comparison);
+    setAlignment(session.alignment);
+  };
+
+  const handleSaveSession = () => {
+    downloadText(JSON.stringify(serializeCurrentSession()), 'pitch-graph-session.json', 'application/json');
+  };
+
+  const handleExportReport = () => {
+    try {
+      const doc = createReport({
+        ...report,
+        cards: comparisonCards.map((card) => ({ ...card, raga: findRaga(card.ragaId || sessionRagaId, customRagas) })),
+        yAxisType,
+        tuning,
+        sessionRaga: findRaga(sessionRagaId, customRagas),
+        shadeOutOfRaga,
+      });
+      doc.save('pitch-graph-report.pdf');
+    } catch (err) {
+      alert(`Could not create the report: ${err.message}`);
+    }
+  };
+
+  const handleExportAllData = () => {
+    if (!dataExport.columns.length) {
+      alert('Select at least one data column to export.');
+      return;
+    }
+    const rows = comparisonCards.flatMap((card, i) =>
+      getDataRows(card, i + 1, processCard(card).data, getSwaraSet(findRaga(card.ragaId || sessionRagaId, customRagas), tuning))
+    );
+    if (!rows.length) {
+      alert("No pitch data in the cards' time windows to export.");
+      return;
+    }
+    const format = getDataExportFormat(dataExport.format);
+    downloadText(formatDataRows(rows, dataExport.columns, format.id), `pitch-data-all.${format.extension}`, format.type);
+  };
+
+  const onSessionFileChange = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        applySession(parseSession(e.target.result));
+      } catch (err) {
+        alert(`Could not open session: ${err.message}`);
+      }
+    };
+    reader.readAsText(file);
+    event.target.value = null;
+  };
+
+  // Gives cards (and the shared file) waiting for a linked file its data
+  const fillLinkedFile = (name, { pitchData, fileName, fileFormat }) => {
+    setSharedFileData((prev) => (prev.fileName === name && !prev.pitchData.length ? { pitchData, fileName, fileFormat } : prev));
+    setGraphsData((prev) =>
+      prev.map((g) => (g.fileName === name && !g.pitchData.length ? { ...g, pitchData, fileName, fileFormat } : g))
+    );
+    setMissingFiles((prev) => prev.filter((n) => n !== name));
+  };
+
+  // Offer the newest autosaved session from an earlier visit, unless a shared
+  // link is being opened: then lay out its cards and look up its files locally
+  useEffect(() => {
+    const openLink = linkedState && confirmCardCount(Number(linkedState.numCards));
+    listSessions()
+      .then((sessions) => {
+        setRecentSessions(sessions);
+        if (sessions.length && !openLink) setRestorePrompt(sessions[0]);
+      })
+      .catch((err) => setAutosaveError(err.message));
+    // Applied or declined, a reload should offer the autosaved session instead
+    if (linkedState) window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
+    if (!openLink) return;
+
+    setNumCards(linkedState.numCards);
+    setUseSameFile(linkedState.useSameFile);
+    if (linkedState.graphType) setGraphType(linkedState.graphType);
+    if (linkedState.yAxisType) setYAxisType(linkedState.yAxisType);
+    setSharedFileData({ pitchData: [], fileName: linkedState.sharedFileName, fileFormat: '' });
+    setGraphsData(linkedState.cards.map((card) => ({ ...createCard(), ...card })));
+    const names = [
+      ...new Set([linkedState.sharedFileName, ...linkedState.cards.map((card) => card.fileName)].filter(Boolean)),
+    ];
+    setMissingFiles(names);
+    names.forEach((name) => {
+      findCachedPitchFile(name)
+        .then((cached) => cached && fillLinkedFile(name, cached))
+        .catch(() => {});
+    });
+    // eslint-disable-next-line
+  }, []);
+
+  // A link to the current layout; the page URL itself is left alone
+  const handleCopyLink = () => {
+    const hash = encodeUrlState({
+      useSameFile,
+      graphType,
+      yAxisType,
+      sharedFileName: sharedFileData.fileName,
+      cards: graphsData,
+    });
+    const url = `${window.location.origin}${window.location.pathname}${window.location.search}#${hash}`;
+    const copied = navigator.clipboard ? navigator.clipboard.writeText(url) : Promise.reject(new Error('No clipboard'));
+    copied.then(
+      () => {
+        setLinkCopied(true);
+        setTimeout(() => setLinkCopied(false), 2000);
+      },
+      () => window.prompt('Copy this link:', url)
+    );
+  };
+
+  // Parses a pitch file in a worker, showing its progress, and passes
+  // { pitchData, fileName, fileFormat } to onLoaded
+  const readPitchFileWithProgress = (file, onLoaded) => {
+    if (!isSupportedPitchFile(file.name)) {
+      alert(`Unsupported file format. Please upload one of: ${PITCH_FILE_ACCEPT}`);
+      return;
+    }
+    const id = nextLoadIdRef.current++;
+    const job = readPitchFile(file, (progress) =>
+      setFileLoads((prev) => prev.map((load) => (load.id === id ? { ...load, progress } : load)))
+    );
+    fileJobsRef.current[id] = job;
+    setFileLoads((prev) => [...prev, { id, fileName: file.name, progress: 0 }]);
+    job.promise
+      .then(({ format, data }) => {
+        if (data.length === 0) {
+          alert('No valid pitch data found in the file.');
+          return;
+        }
+        onLoaded({ pitchData: data, fileName: file.name, fileFormat: format.label });
+      })
+      .catch((err) => {
+        if (err.name !== 'AbortError') alert(`Could not read ${file.name}: ${err.message}`);
+      })
+      .finally(() => {
+        delete fileJobsRef.current[id];
+        setFileLoads((prev) => prev.filter((load) => load.id !== id));
+      });
+  };
+
+  const onMissingFileChange = (name, event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    readPitchFileWithProgress(file, (loaded) => fillLinkedFile(name, loaded));
+    event.target.value = null;
+  };
+
+  // Debounced autosave of the workspace; the list refreshes after each save
+  useEffect(() => {
+    if (!graphsData.length) return;
+    const timer = setTimeout(() => {
+      saveSession(workspaceIdRef.current, serializeCurrentSession())
+        .then(listSessions)
+        .then(setRecentSessions)
+        .catch((err) => setAutosaveError(err.message));
+    }, AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+    // eslint-disable-next-line
+  }, [graphsData, useSameFile, graphType, yAxisType, sharedFileData, sessionRagaId, customRagas, shadeOutOfRaga,
+    tuningId, customTuningText, comparison, alignment]);
+
+  // Continues the stored session under its own id
+  const openRecentSession = (id) => {
+    setRestorePrompt(null);
+    loadSession(id)
+      .then((saved) => {
+        applySession(readSession(saved));
+        workspaceIdRef.current = id;
+      })
+      .catch((err) => alert(`Could not open session: ${err.message}`));
+  };
+
+  const handleDeleteRecentSession = (id) => {
+    deleteSession(id)
+      .then(listSessions)
+      .then(setRecentSessions)
+      .catch((err) => alert(`Could not delete session: ${err.message}`));
+  };
+
+  const onPitchDataChange = (index, { pitchData, fileName, fileFormat }) => {
+    setGraphsData((prev) => {
+      const updated = [...prev];
+      updated[index] = { ...updated[index], pitchData, fileName, fileFormat };
+      return updated;
+    });
+  };
+
+  const onRagaChange = (index, ragaId) => {
+    setGraphsData((prev) => {
+      const updated = [...prev];
+      updated[index] = { ...updated[index], ragaId };
+      return updated;
+    });
+  };
+
+  const onNotesChange = (index, notes) => {
+    setGraphsData((prev) => {
+      const updated = [...prev];
+      updated[index] = { ...updated[index], notes };
+      return updated;
+    });
+  };
+
+  const onProcessingChange = (index, processing) => {
+    setGraphsData((prev) => {
+      const updated = [...prev];
+      updated[index] = { ...updated[index], processing };
+      return updated;
+    });
+  };
+
+  const onLineBreaksChange = (index, lineBreaks) => {
+    setGraphsData((prev) => {
+      const updated = [...prev];
+      updated[index] = { ...updated[index], lineBreaks };
+      return updated;
+    });
+  };
+
+  const onHistogramChange = (index, histogram) => {
+    setGraphsData((prev) => {
+      const updated = [...prev];
+      updated[index] = { ...updated[index], histogram };
+      return updated;
+    });
+  };
+
+  const onSegmentationChange = (index, segmentation) => {
+    setGraphsData((prev) => {
+      const updated = [...prev];
+      updated[index] = { ...updated[index], segmentation };
+      return updated;
+    });
+  };
+
+  const onIntonationChange = (index, intonation) => {
+    setGraphsData((prev) => {
+      const updated = [...prev];
+      updated[index] = { ...updated[index], intonation };
+      return updated;
+    });
+  };
+
+  const onAnnotationsChange = (index, annotations) => {
+    setGraphsData((prev) => {
+      const updated = [...prev];
+      updated[index] = { ...updated[index], annotations };
+      return updated;
+    });
+  };
+
+  const onLabelsFileChange = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        const tiers = parseLabelTiers(e.target.result).filter((tier) => tier.annotations.some((a) => !isPointAnnotation(a)));
+        if (!tiers.length) {
+          alert('No labelled intervals were found in the file.');
+          return;
+        }
+        setLabels({ fileName: file.name, tiers });
+      } catch (err) {
+        alert(`Could not import labels: ${err.message}`);
+      }
+    };
+    reader.readAsArrayBuffer(file);
+    event.target.value = null;
+  };
+
+  const onLabelApply = (index, { start, end }) => {
+    setGraphsData((prev) => {
+      const updated = [...prev];
+      updated[index] = { ...updated[index], startTime: formatTime(start), endTime: formatTime(end) };
+      return updated;
+    });
+  };
+
+  // Without the shared file only MAX_CARDS cards are allowed, so phrase cards
+  // beyond that are dropped (after asking) when the option is turned off
+  const handleUseSameFileChange = (checked) => {
+    if (!checked && graphsData.length > MAX_CARDS) {
+      if (!window.confirm(`Only ${MAX_CARDS} cards are allowed without the same file for all cards. Remove cards ${MAX_CARDS + 1} to ${graphsData.length}?`)) return;
+      setGraphsData((prev) => prev.slice(0, MAX_CARDS));
+      setNumCards(String(MAX_CARDS));
+    }
+    setUseSameFile(checked);
+  };
+
+  // One new card per interval with the shared file (or the template card's
+  // file when there is none) and the template card's tonic
+  const onCreateCardsFromLabels = (intervals, templateIndex) => {
+    const room = cardLimit - graphsData.length;
+    if (room <= 0) {
+      alert(`There are already ${MAX_CARDS} cards, the most without the same file for all cards.`);
+      return;
     }
-  }, [numCards]);
+    if (intervals.length > room) {
+      alert(`Only the first ${room} of the selected intervals get a card (at most ${MAX_CARDS} cards without the same file for all cards).`);
+    }
+    const template = graphsData[templateIndex] || createCard();
+    const file = sharedFileData.pitchData.length ? sharedFileData : template;
+    const added = intervals.slice(0, room).map(({ start, end }) => ({
+      ...createCard(),
+      pitchData: file.pitchData,
+      fileName: file.fileName,
+      fileFormat: file.fileFormat,
+      tonic: template.tonic,
+      startTime: formatTime(start),
+      endTime: formatTime(end),
+    }));
+    setGraphsData((prev) => [...prev, ...added]);
+    setNumCards(String(graphsData.length + added.length));
+  };
 
-  const onFileChange = (index, event) => {
-    const file = event.target.files[0];
-    if (!file) return;
-    if (!file.name.match(/\.(txt|csv)$/i)) {
-      alert('Unsupported file format. Please upload .txt or .csv files only.');
+  // Replaces the cards with one per phrase of the shared file, keeping the
+  // first card's tonic and raga
+  const handleSplitIntoPhrases = () => {
+    let count;
+    try {
+      count = countPhrases(sharedFileData.pitchData, phraseSplit);
+    } catch (err) {
+      alert(`Could not split the file: ${err.message}`);
+      return;
+    }
+    if (!count) {
+      alert('No phrases were found with these settings.');
       return;
     }
+    if (!confirmCardCount(count)) return;
+    const phrases = splitIntoPhrases(sharedFileData.pitchData, phraseSplit);
+    const hasWindows = graphsData.some((g) => g.startTime !== '' || g.endTime !== '');
+    if (hasWindows && !window.confirm(`Replace the ${graphsData.length} cards with ${phrases.length} phrase cards?`)) return;
+    const template = graphsData[0] || createCard();
+    setGraphsData(
+      phrases.map(({ start, end }) => ({
+        ...createCard(),
+        pitchData: sharedFileData.pitchData,
+        fileName: sharedFileData.fileName,
+        fileFormat: sharedFileData.fileFormat,
+        tonic: template.tonic,
+        ragaId: template.ragaId,
+        startTime: formatTime(start),
+        endTime: formatTime(end),
+      }))
+    );
+    setNumCards(String(phrases.length));
+  };
+
+  const onCustomRagaFileChange = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
     const reader = new FileReader();
     reader.onload = (e) => {
-      const data = parsePitchData(e.target.result);
-      if (data.length === 0) {
-        alert('No valid pitch data found in the file.');
-        return;
+      try {
+        const ragas = parseCustomRagas(e.target.result);
+        setCustomRagas((prev) => [
+          ...prev.filter((r) => !ragas.some((added) => added.id === r.id)),
+          ...ragas,
+        ]);
+      } catch (err) {
+        alert(`Could not load custom ragas: ${err.message}`);
       }
-      setGraphsData((prev) => {
-        const updated = [...prev];
-        updated[index] = {
-          ...updated[index],
-          pitchData: data,
-          fileName: file.name,
-        };
-        return updated;
-      });
-      event.target.value = null;
     };
     reader.readAsText(file);
+    event.target.value = null;
+  };
+
+  const onAudioChange = (index, file) => {
+    setGraphsData((prev) => {
+      const updated = [...prev];
+      updated[index] = { ...updated[index], audioFile: file, audioName: file ? file.name : '' };
+      return updated;
+    });
+  };
+
+  const loadPitchFile = (index, file) => {
+    readPitchFileWithProgress(file, (loaded) => onPitchDataChange(index, loaded));
+  };
+
+  const onFileChange = (index, event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    loadPitchFile(index, file);
+    event.target.value = null;
   };
 
   const onSharedFileChange = (event) => {
     const file = event.target.files[0];
     if (!file) return;
-    if (!file.name.match(/\.(txt|csv)$/i)) {
-      alert('Unsupported file format. Please upload .txt or .csv files only.');
-      return;
-    }
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      const data = parsePitchData(e.target.result);
-      if (data.length === 0) {
-        alert('No valid pitch data found in the file.');
-        return;
-      }
-      setSharedFileData({
-        pitchData: data,
-        fileName: file.name,
-      });
-      setGraphsData((prev) =>
-        prev.map((g) => ({
-          ...g,
-          pitchData: data,
-          fileName: file.name,
-        }))
-      );
-      event.target.value = null;
-    };
-    reader.readAsText(file);
+    readPitchFileWithProgress(file, (loaded) => {
+      setSharedFileData(loaded);
+      setGraphsData((prev) => prev.map((g) => ({ ...g, ...loaded })));
+    });
+    event.target.value = null;
   };
 
+  // Negative times and a tonic of 0 or less are not kept (sessions reject them)
   const onStartTimeChange = (index, value) => {
+    if (value !== '' && !(Number(value) >= 0)) return;
     setGraphsData((prev) => {
       const updated = [...prev];
       updated[index] = { ...updated[index], startTime: value };
@@ -522,6 +2917,7 @@ const PitchGraphMulti = () => {
   };
 
   const onEndTimeChange = (index, value) => {
+    if (value !== '' && !(Number(value) >= 0)) return;
     setGraphsData((prev) => {
       const updated = [...prev];
       updated[index] = { ...updated[index], endTime: value };
@@ -530,6 +2926,7 @@ const PitchGraphMulti = () => {
   };
 
   const onTonicChange = (index, value) => {
+    if (value !== '' && !(Number(value) > 0)) return;
     setGraphsData((prev) => {
       const updated = [...prev];
       updated[index] = { ...updated[index], tonic: value };
@@ -555,6 +2952,139 @@ const PitchGraphMulti = () => {
       <main role="main" aria-label="Pitch graphs grid" style={styles.container}>
         <h1 style={styles.title}>Pitch Graph Viewer</h1>
 
+        <div style={styles.centeredPrompt}>
+          <button style={styles.secondaryBtn} onClick={handleSaveSession} disabled={!graphsData.length}>
+            Save Session
+          </button>
+          <label htmlFor="session-input" style={{ ...styles.fileLabel, marginLeft: 12 }}>
+            Open Session
+          </label>
+          <input
+            type="file"
+            accept={SESSION_FILE_ACCEPT}
+            id="session-input"
+            onChange={onSessionFileChange}
+            style={{ display: 'none' }}
+          />
+          <button style={{ ...styles.secondaryBtn, marginLeft: 12 }} onClick={handleCopyLink} disabled={!graphsData.length}>
+            {linkCopied ? 'Link Copied' : 'Copy Link'}
+          </button>
+          {autosaveError && <span style={{ ...styles.miniLabel, marginLeft: 12 }}>Autosave off: {autosaveError}</span>}
+        </div>
+
+        <div style={styles.centeredPrompt}>
+          <label htmlFor="reportTitle" style={styles.selectLabel}>Report title:</label>
+          <input
+            id="reportTitle"
+            type="text"
+            value={report.title}
+            onChange={e => setReport({ ...report, title: e.target.value })}
+            style={{ ...styles.miniInput, width: 240, textAlign: 'left' }}
+          />
+          <label htmlFor="reportCardsPerPage" style={{ ...styles.selectLabel, marginLeft: 12 }}>Cards per page:</label>
+          <select
+            id="reportCardsPerPage"
+            value={report.cardsPerPage}
+            onChange={e => setReport({ ...report, cardsPerPage: Number(e.target.value) })}
+            style={styles.select}
+          >
+            {REPORT_CARDS_PER_PAGE.map((n) => (
+              <option key={n} value={n}>{n}</option>
+            ))}
+          </select>
+          <button style={{ ...styles.exportBtn, marginLeft: 12 }} onClick={handleExportReport} disabled={!graphsData.length}>
+            Export Report (PDF)
+          </button>
+        </div>
+
+        <div style={styles.centeredPrompt}>
+          <label htmlFor="dataExportFormat" style={styles.selectLabel}>Data export:</label>
+          <select
+            id="dataExportFormat"
+            value={dataExport.format}
+            onChange={e => setDataExport({ ...dataExport, format: e.target.value })}
+            style={styles.select}
+          >
+            {DATA_EXPORT_FORMATS.map((f) => (
+              <option key={f.id} value={f.id}>{f.label}</option>
+            ))}
+          </select>
+          {DATA_EXPORT_COLUMNS.map((column) => (
+            <label key={column.id} style={{ ...styles.miniLabel, marginLeft: 12 }}>
+              <input
+                type="checkbox"
+                checked={dataExport.columns.includes(column.id)}
+                onChange={e => setDataExport({
+                  ...dataExport,
+                  columns: e.target.checked
+                    ? [...dataExport.columns, column.id]
+                    : dataExport.columns.filter((id) => id !== column.id),
+                })}
+                style={styles.inlineCheckbox}
+              />
+              {column.label}
+            </label>
+          ))}
+          <button style={{ ...styles.exportBtn, marginLeft: 12 }} onClick={handleExportAllData} disabled={!graphsData.length}>
+            Export All Cards
+          </button>
+        </div>
+
+        {missingFiles.length > 0 && (
+          <div style={styles.restoreBanner} role="alertdialog" aria-label="Missing files">
+            <span>This link uses files that are not loaded here. Select them to show the pitch data:</span>
+            {missingFiles.map((name, i) => (
+              <span key={name}>
+                <label htmlFor={`missing-file-${i}`} style={styles.fileLabel}>Select {name}</label>
+                <input
+                  type="file"
+                  accept={PITCH_FILE_ACCEPT}
+                  id={`missing-file-${i}`}
+                  onChange={e => onMissingFileChange(name, e)}
+                  style={{ display: 'none' }}
+                />
+              </span>
+            ))}
+            <button style={styles.secondaryBtn} onClick={() => setMissingFiles([])}>Dismiss</button>
+          </div>
+        )}
+
+        {restorePrompt && (
+          <div style={styles.restoreBanner} role="alertdialog" aria-label="Restore previous session">
+            <span>
+              Restore previous session? {restorePrompt.cardCount} card{restorePrompt.cardCount === 1 ? '' : 's'}
+              {restorePrompt.fileNames.length > 0 && ` · ${restorePrompt.fileNames.join(', ')}`}
+              {' '}· saved {new Date(restorePrompt.updatedAt).toLocaleString()}
+            </span>
+            <button style={styles.exportBtn} onClick={() => openRecentSession(restorePrompt.id)}>Restore</button>
+            <button style={styles.secondaryBtn} onClick={() => setRestorePrompt(null)}>Start Fresh</button>
+          </div>
+        )}
+
+        {recentSessions.length > 0 && (
+          <details style={styles.recentSessions}>
+            <summary style={styles.panelSummary}>Recent Sessions</summary>
+            <ul style={styles.recentList}>
+              {recentSessions.map(session => (
+                <li key={session.id} style={styles.recentItem}>
+                  <span style={{ flexGrow: 1 }}>
+                    {new Date(session.updatedAt).toLocaleString()} · {session.cardCount} card{session.cardCount === 1 ? '' : 's'}
+                    {session.fileNames.length > 0 && ` · ${session.fileNames.join(', ')}`}
+                  </span>
+                  {session.id === workspaceIdRef.current ? (
+                    <span style={styles.miniLabel}>Current</span>
+                  ) : (
+                    <>
+                      <button style={styles.secondaryBtn} onClick={() => openRecentSession(session.id)}>Open</button>
+                      <button style={styles.linkBtn} onClick={() => handleDeleteRecentSession(session.id)}>Delete</button>
+                    </>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </details>
+        )}
+
         <div style={styles.centeredPrompt}>
           <label htmlFor="numCards" style={styles.selectLabel}>
             How many pitch cards do you need?
@@ -563,12 +3093,14 @@ const PitchGraphMulti = () => {
             id="numCards"
             type="number"
             min={1}
-            max={20}
+            max={useSameFile ? undefined : MAX_CARDS}
             style={styles.miniInput}
             value={numCards}
             onChange={e => {
               const val = e.target.value;
-              if (val === '' || (Number(val) > 0 && Number(val) <= 20)) setNumCards(val);
+              if (val === '' || (Number(val) > 0 && Number(val) <= cardLimit && (Number(val) <= graphsData.length || confirmCardCount(Number(val))))) {
+                setNumCards(val);
+              }
             }}
             placeholder="Enter a number"
           />
@@ -578,7 +3110,7 @@ const PitchGraphMulti = () => {
           <input
             type="checkbox"
             checked={useSameFile}
-            onChange={e => setUseSameFile(e.target.checked)}
+            onChange={e => handleUseSameFileChange(e.target.checked)}
             style={{ width: 18, height: 18, verticalAlign: 'middle', marginLeft: 8 }}
           />
         </div>
@@ -586,21 +3118,67 @@ const PitchGraphMulti = () => {
         {useSameFile && (
           <div style={styles.centeredPrompt}>
             <label htmlFor="shared-file-input" style={styles.fileLabel}>
-              Select Pitch File (.txt or .csv) for all cards
+              Select Pitch File for all cards
             </label>
             <input
               type="file"
-              accept=".txt,.csv"
+              accept={PITCH_FILE_ACCEPT}
               id="shared-file-input"
               onChange={onSharedFileChange}
               style={{ marginLeft: 10 }}
             />
             {sharedFileData.fileName && (
-              <div style={styles.fileName}>Loaded File: {sharedFileData.fileName}</div>
+              <div style={styles.fileName}>
+                Loaded File: {sharedFileData.fileName}
+                {sharedFileData.fileFormat && <span style={styles.fileFormat}>{sharedFileData.fileFormat}</span>}
+              </div>
             )}
           </div>
         )}
 
+        {useSameFile && sharedFileData.pitchData.length > 0 && (
+          <div style={styles.centeredPrompt}>
+            <label htmlFor="phraseSplitMode" style={styles.selectLabel}>Split into phrases:</label>
+            <select
+              id="phraseSplitMode"
+              value={phraseSplit.mode}
+              onChange={e => setPhraseSplit({ ...phraseSplit, mode: e.target.value })}
+              style={styles.select}
+            >
+              {PHRASE_SPLIT_MODES.map((m) => (
+                <option key={m.id} value={m.id}>{m.label}</option>
+              ))}
+            </select>
+            {(phraseSplit.mode === 'windows'
+              ? [
+                ['windowSec', 'Window (s)', 0.5],
+                ['overlapSec', 'Overlap (s)', 0.5],
+              ]
+              : [
+                ['minSilenceMs', 'Min silence (ms)', 50],
+                ['minPhraseMs', 'Min phrase (ms)', 100],
+                ['paddingMs', 'Padding (ms)', 50],
+              ]
+            ).map(([key, label, step]) => (
+              <label key={key} htmlFor={`phraseSplit-${key}`} style={{ ...styles.miniLabel, marginLeft: 12 }}>
+                {label}
+                <input
+                  id={`phraseSplit-${key}`}
+                  type="number"
+                  min={0}
+                  step={step}
+                  value={phraseSplit[key]}
+                  onChange={e => setPhraseSplit({ ...phraseSplit, [key]: Number(e.target.value) })}
+                  style={{ ...styles.miniInput, width: 80, marginLeft: 6 }}
+                />
+              </label>
+            ))}
+            <button style={{ ...styles.exportBtn, marginLeft: 12 }} onClick={handleSplitIntoPhrases}>
+              Split into Phrases
+            </button>
+          </div>
+        )}
+
         <div style={styles.centeredPrompt}>
           <label htmlFor="graphType" style={styles.selectLabel}>Select Graph Type: </label>
           <select
@@ -621,30 +3199,194 @@ const PitchGraphMulti = () => {
             onChange={e => setYAxisType(e.target.value)}
             style={styles.select}
           >
-            <option value="swaras">Swaras</option>
-            <option value="cents">Cents</option>
+            {Y_AXIS_TYPES.map(t => (
+              <option key={t.id} value={t.id}>{t.label}</option>
+            ))}
+          </select>
+          <label htmlFor="tuningSystem" style={{ ...styles.selectLabel, marginLeft: 24 }}>
+            Tuning:
+          </label>
+          <select
+            id="tuningSystem"
+            value={tuningId}
+            onChange={e => setTuningId(e.target.value)}
+            style={styles.select}
+          >
+            {TUNING_SYSTEMS.map(t => (
+              <option key={t.id} value={t.id}>{t.name}</option>
+            ))}
+            <option value="custom">Custom…</option>
           </select>
         </div>
 
+        {tuningId === 'custom' && (
+          <div style={styles.centeredPrompt}>
+            <label htmlFor="customTuning" style={styles.selectLabel}>
+              Cents for Sa … Ni (12 values):
+            </label>
+            <input
+              id="customTuning"
+              type="text"
+              value={customTuningText}
+              onChange={e => setCustomTuningText(e.target.value)}
+              style={{ ...styles.miniInput, width: 420, textAlign: 'left' }}
+              aria-invalid={!!customTuningError}
+            />
+            {customTuningError && <div style={styles.errorText}>{customTuningError}</div>}
+          </div>
+        )}
+
+        <div style={styles.centeredPrompt}>
+          <label htmlFor="sessionRaga" style={styles.selectLabel}>Raga:</label>
+          <RagaSelect
+            id="sessionRaga"
+            value={sessionRagaId}
+            onChange={setSessionRagaId}
+            customRagas={customRagas}
+            defaultLabel="All swaras"
+            style={styles.select}
+          />
+          <label htmlFor="custom-raga-input" style={{ ...styles.fileLabel, marginLeft: 12 }}>
+            Add Custom Ragas (JSON)
+          </label>
+          <input
+            type="file"
+            accept=".json"
+            id="custom-raga-input"
+            onChange={onCustomRagaFileChange}
+            style={{ display: 'none' }}
+          />
+          <label style={{ ...styles.selectLabel, marginLeft: 12 }}>
+            <input
+              type="checkbox"
+              checked={shadeOutOfRaga}
+              onChange={e => setShadeOutOfRaga(e.target.checked)}
+              style={{ width: 18, height: 18, verticalAlign: 'middle', marginRight: 8 }}
+            />
+            Shade out-of-raga notes
+          </label>
+          <button
+            style={{ ...styles.secondaryBtn, marginLeft: 12 }}
+            onClick={() => setComparison({ sources: [], referenceTonic: '' })}
+            disabled={!graphsData.length || !!comparison}
+          >
+            Compare Cards
+          </button>
+          <button
+            style={{ ...styles.secondaryBtn, marginLeft: 12 }}
+            onClick={() => setAlignment({ referenceIndex: 0, queryIndex: Math.min(1, graphsData.length - 1) })}
+            disabled={!graphsData.length || !!alignment}
+          >
+            Align Two Cards
+          </button>
+          <label htmlFor="labels-input" style={{ ...styles.fileLabel, marginLeft: 12 }}>
+            Import Phrase Labels
+          </label>
+          <input
+            type="file"
+            accept={ANNOTATION_FILE_ACCEPT}
+            id="labels-input"
+            onChange={onLabelsFileChange}
+            style={{ display: 'none' }}
+          />
+        </div>
+
+        {fileLoads.map((load) => (
+          <div key={load.id} style={{ ...styles.progressRow, maxWidth: 640, margin: '0 auto 16px' }} role="status">
+            <span style={styles.miniLabel}>Reading {load.fileName}</span>
+            <progress value={load.progress} max={1} style={{ flexGrow: 1 }} />
+            <span style={styles.miniLabel}>{Math.round(load.progress * 100)}%</span>
+            <button style={styles.secondaryBtn} onClick={() => fileJobsRef.current[load.id]?.cancel()}>
+              Cancel
+            </button>
+          </div>
+        ))}
+
         <div style={styles.grid}>
-          {graphsData.map(({ pitchData, startTime, endTime, tonic, fileName }, i) => (
-            <PitchGraphCard
-              key={i}
-              index={i}
-              pitchData={useSameFile ? sharedFileData.pitchData : pitchData}
-              startTime={startTime}
-              endTime={endTime}
-              tonic={tonic}
-              onFileChange={onFileChange}
-              onStartTimeChange={onStartTimeChange}
-              onEndTimeChange={onEndTimeChange}
-              onTonicChange={onTonicChange}
-              fileName={useSameFile ? sharedFileData.fileName : fileName}
+          {comparison && (
+            <ComparisonCard
+              cards={comparisonCards}
+              comparison={comparison}
+              onComparisonChange={setComparison}
+              onClose={() => setComparison(null)}
               graphType={graphType}
-              useSameFile={useSameFile}
               yAxisType={yAxisType}
+              swaraSet={getSwaraSet(findRaga(sessionRagaId, customRagas), tuning)}
             />
-          ))}
+          )}
+          {alignment && (
+            <AlignmentCard
+              cards={comparisonCards}
+              alignment={alignment}
+              onAlignmentChange={setAlignment}
+              onClose={() => setAlignment(null)}
+              graphType={graphType}
+              yAxisType={yAxisType}
+              swaraSet={getSwaraSet(findRaga(sessionRagaId, customRagas), tuning)}
+            />
+          )}
+          {labels && (
+            <LabelsCard
+              key={labels.fileName}
+              labels={labels}
+              cards={comparisonCards}
+              onApply={onLabelApply}
+              onCreateCards={onCreateCardsFromLabels}
+              onClose={() => setLabels(null)}
+            />
+          )}
+          {graphsData.map(({ pitchData, startTime, endTime, tonic, fileName, fileFormat, audioFile, audioName, ragaId, notes, processing, lineBreaks, histogram, segmentation, intonation, annotations }, i) => {
+            const card = (onScreen) => (
+              <PitchGraphCard
+                onScreen={onScreen}
+                index={i}
+                pitchData={useSameFile ? sharedFileData.pitchData : pitchData}
+                startTime={startTime}
+                endTime={endTime}
+                tonic={tonic}
+                onFileChange={onFileChange}
+                onFileDrop={loadPitchFile}
+                onPitchDataChange={onPitchDataChange}
+                onAudioChange={onAudioChange}
+                onStartTimeChange={onStartTimeChange}
+                onEndTimeChange={onEndTimeChange}
+                onTonicChange={onTonicChange}
+                fileName={useSameFile ? sharedFileData.fileName : fileName}
+                fileFormat={useSameFile ? sharedFileData.fileFormat : fileFormat}
+                audioFile={audioFile}
+                audioName={audioName}
+                graphType={graphType}
+                useSameFile={useSameFile}
+                yAxisType={yAxisType}
+                raga={findRaga(ragaId || sessionRagaId, customRagas)}
+                ragaId={ragaId}
+                onRagaChange={onRagaChange}
+                notes={notes}
+                onNotesChange={onNotesChange}
+                customRagas={customRagas}
+                shadeOutOfRaga={shadeOutOfRaga}
+                tuning={tuning}
+                processing={processing}
+                onProcessingChange={onProcessingChange}
+                lineBreaks={lineBreaks}
+                onLineBreaksChange={onLineBreaksChange}
+                histogram={histogram}
+                onHistogramChange={onHistogramChange}
+                segmentation={segmentation}
+                onSegmentationChange={onSegmentationChange}
+                intonation={intonation}
+                onIntonationChange={onIntonationChange}
+                annotations={annotations}
+                onAnnotationsChange={onAnnotationsChange}
+                dataExport={dataExport}
+              />
+            );
+            return (
+              <LazyCard key={i} virtualized={graphsData.length > VIRTUALIZE_AFTER}>
+                {card}
+              </LazyCard>
+            );
+          })}
         </div>
       </main>
     </>
@@ -715,6 +3457,10 @@ const styles = {
     backdropFilter: 'blur(12px)',
     alignItems: 'center',
   },
+  cardDragOver: {
+    outline: '3px dashed #4f46e5',
+    outlineOffset: -8,
+  },
   cardTitle: {
     fontWeight: 700,
     fontSize: 24,
@@ -757,6 +3503,16 @@ const styles = {
     userSelect: 'none',
     textAlign: 'center',
   },
+  notesInput: {
+    fontSize: 14,
+    padding: '6px 10px',
+    borderRadius: 8,
+    border: '1.5px solid rgba(37, 99, 235, 0.7)',
+    outlineOffset: 2,
+    color: '#1e40af',
+    fontFamily: 'inherit',
+    resize: 'vertical',
+  },
   miniInput: {
     fontSize: 14,
     padding: '6px 10px',
@@ -778,6 +3534,16 @@ const styles = {
     textAlign: 'center',
     width: '100%',
   },
+  fileFormat: {
+    marginLeft: 8,
+    padding: '1px 8px',
+    borderRadius: 10,
+    background: '#e0e7ff',
+    color: '#3730a3',
+    fontStyle: 'normal',
+    fontSize: 12,
+    fontWeight: 600,
+  },
   chartWrapper: {
     flexGrow: 1,
     borderRadius: 30,
@@ -791,6 +3557,26 @@ const styles = {
     display: 'flex',
     alignItems: 'center',
     justifyContent: 'center',
+    position: 'relative',
+    touchAction: 'none',
+  },
+  brushSelection: {
+    position: 'absolute',
+    top: 0,
+    bottom: 0,
+    background: 'rgba(79, 70, 229, 0.15)',
+    borderLeft: '1px solid #4f46e5',
+    borderRight: '1px solid #4f46e5',
+    pointerEvents: 'none',
+    zIndex: 1,
+  },
+  overview: {
+    width: 380,
+    margin: '8px auto 0',
+    borderRadius: 12,
+    border: '1px solid #c7d2fe',
+    background: '#fff',
+    overflow: 'hidden',
   },
   exportBtn: {
     background: '#4f46e5',
@@ -804,7 +3590,250 @@ const styles = {
     marginRight: 6,
     marginBottom: 4,
     boxShadow: '0 2px 8px rgba(79, 70, 229, 0.12)'
-  }
+  },
+  secondaryBtn: {
+    background: '#fff',
+    color: '#4f46e5',
+    border: '1.5px solid #4f46e5',
+    borderRadius: 8,
+    padding: '4px 12px',
+    fontWeight: 600,
+    fontSize: 13,
+    cursor: 'pointer',
+  },
+  errorText: {
+    color: '#b91c1c',
+    fontSize: 13,
+    fontWeight: 600,
+    width: '100%',
+  },
+  tonicEstimate: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    flexWrap: 'wrap',
+    gap: 8,
+    width: '100%',
+    marginTop: -12,
+    marginBottom: 20,
+  },
+  candidateBtn: {
+    background: '#eef2ff',
+    color: '#3730a3',
+    border: '1px solid #c7d2fe',
+    borderRadius: 14,
+    padding: '3px 10px',
+    fontSize: 13,
+    cursor: 'pointer',
+  },
+  candidateBtnBest: {
+    background: '#4f46e5',
+    color: '#fff',
+    border: '1px solid #4f46e5',
+    borderRadius: 14,
+    padding: '3px 10px',
+    fontSize: 13,
+    fontWeight: 600,
+    cursor: 'pointer',
+  },
+  linkBtn: {
+    background: 'none',
+    border: 'none',
+    color: '#6b7280',
+    fontSize: 13,
+    textDecoration: 'underline',
+    cursor: 'pointer',
+  },
+  panel: {
+    width: '100%',
+    marginBottom: 16,
+    border: '1px solid #c7d2fe',
+    borderRadius: 12,
+    padding: '6px 12px',
+    background: '#f8faffcc',
+  },
+  panelSummary: {
+    fontWeight: 600,
+    fontSize: 14,
+    color: '#1e3a8a',
+    cursor: 'pointer',
+    padding: '4px 0',
+  },
+  panelNote: {
+    fontSize: 12,
+    color: '#4b5563',
+    textAlign: 'center',
+    marginBottom: 8,
+  },
+  inlineCheckbox: {
+    marginRight: 6,
+    verticalAlign: 'middle',
+  },
+  wideCard: {
+    gridColumn: '1 / -1',
+  },
+  comparisonSource: {
+    display: 'flex',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    gap: 12,
+    width: '100%',
+    marginBottom: 10,
+  },
+  comparisonLabel: {
+    fontWeight: 600,
+    fontSize: 14,
+    color: '#1e3a8a',
+    minWidth: 160,
+  },
+  colorInput: {
+    width: 32,
+    height: 24,
+    padding: 0,
+    border: 'none',
+    background: 'none',
+    cursor: 'pointer',
+  },
+  comparisonChart: {
+    borderRadius: 30,
+    overflow: 'hidden',
+    height: 320,
+    border: '1.5px solid #3b82f6',
+    backgroundColor: '#eef4ffcc',
+    boxShadow: '0 6px 20px rgba(59, 130, 246, 0.4)',
+    width: 760,
+    maxWidth: '100%',
+    margin: '0 auto',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  histogramChart: {
+    width: 380,
+    maxWidth: '100%',
+    margin: '0 auto 10px',
+    borderRadius: 12,
+    border: '1px solid #c7d2fe',
+    overflow: 'hidden',
+    background: '#fff',
+  },
+  statsTable: {
+    width: '100%',
+    borderCollapse: 'collapse',
+    fontSize: 13,
+    marginBottom: 8,
+  },
+  statsCell: {
+    borderBottom: '1px solid #e0e7ff',
+    padding: '3px 6px',
+    textAlign: 'right',
+  },
+  annotationInput: {
+    fontSize: 13,
+    padding: '2px 6px',
+    borderRadius: 6,
+    border: '1px solid #c7d2fe',
+    color: '#1e40af',
+    width: 80,
+    textAlign: 'right',
+  },
+  lazyCell: {
+    display: 'grid',
+  },
+  activeRow: {
+    background: 'rgba(99, 102, 241, 0.1)',
+  },
+  segmentTableWrapper: {
+    width: '100%',
+    maxHeight: 240,
+    overflowY: 'auto',
+    marginTop: 12,
+  },
+  restoreBanner: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    flexWrap: 'wrap',
+    gap: 12,
+    margin: '0 auto 24px',
+    padding: '12px 18px',
+    maxWidth: 900,
+    borderRadius: 12,
+    background: '#eef2ff',
+    border: '1.5px solid #818cf8',
+    fontSize: 14,
+    color: '#1e3a8a',
+  },
+  recentSessions: {
+    maxWidth: 900,
+    margin: '0 auto 24px',
+    border: '1px solid #c7d2fe',
+    borderRadius: 12,
+    padding: '6px 12px',
+    background: '#f8faffcc',
+  },
+  recentList: {
+    listStyle: 'none',
+    margin: 0,
+    padding: 0,
+  },
+  recentItem: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: 10,
+    padding: '6px 0',
+    borderBottom: '1px solid #e0e7ff',
+    fontSize: 13,
+  },
+  alignmentScore: {
+    textAlign: 'center',
+    fontWeight: 600,
+    fontSize: 15,
+    color: '#1e3a8a',
+  },
+  panelHeading: {
+    fontSize: 14,
+    fontWeight: 600,
+    color: '#1e3a8a',
+    textAlign: 'center',
+    margin: '14px 0 6px',
+  },
+  panelChart: {
+    width: 760,
+    maxWidth: '100%',
+    margin: '0 auto',
+    borderRadius: 16,
+    border: '1px solid #c7d2fe',
+    overflow: 'hidden',
+    background: '#fff',
+  },
+  legend: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    gap: 16,
+    marginTop: 10,
+    fontSize: 13,
+    color: '#374151',
+  },
+  legendItem: {
+    display: 'inline-flex',
+    alignItems: 'center',
+    gap: 6,
+  },
+  legendSwatch: {
+    display: 'inline-block',
+    width: 18,
+    height: 4,
+    borderRadius: 2,
+  },
+  progressRow: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: 10,
+    width: '100%',
+    marginBottom: 16,
+  },
 };
 
 export default PitchGraphMulti;
\ No newline at end of file
@@ -0,0 +1,179 @@
+// Labelled time regions and point markers on a card: [{ start, end, label }]
+// in seconds, where a point has end === start. Read and written as Audacity
+// label tracks and Praat TextGrids.
+
+export const ANNOTATION_FILE_ACCEPT = '.txt,.TextGrid';
+
+export const isPointAnnotation = (a) => a.end === a.start;
+
+export const sortAnnotations = (annotations) => [...annotations].sort((a, b) => a.start - b.start || a.end - b.end);
+
+// Annotations overlapping the [start, end] window
+export const getWindowAnnotations = (annotations, start, end) =>
+  annotations.filter((a) => a.end >= start && a.start <= end);
+
+const formatSeconds = (t) => t.toFixed(6);
+
+// Audacity "Export Labels": start<TAB>end<TAB>label per line
+export const formatAudacityLabels = (annotations) =>
+  sortAnnotations(annotations)
+    .map((a) => [formatSeconds(a.start), formatSeconds(a.end), a.label.replace(/[\t\r\n]+/g, ' ')].join('\t'))
+    .join('\n');
+
+export const parseAudacityLabels = (text) => {
+  const annotations = [];
+  text.split(/\r?\n/).forEach((line, i) => {
+    // Lines starting with a backslash hold a label's frequency range
+    if (!line.trim() || line.startsWith('\\')) return;
+    const [start, end, ...label] = line.split('\t');
+    const a = Number(start);
+    const b = end === undefined || end === '' ? a : Number(end);
+    if (start.trim() === '' || !isFinite(a) || !isFinite(b) || b < a) {
+      throw new Error(`Line ${i + 1} is not a "start<TAB>end<TAB>label" label.`);
+    }
+    annotations.push({ start: a, end: b, label: label.join('\t') });
+  });
+  return annotations;
+};
+
+// TextGrid values in file order: quoted strings and numbers. Works for both
+// the long and the short text formats; bracketed item numbers are skipped.
+const tokenizeTextGrid = (text) =>
+  [...text.matchAll(/"((?:[^"]|"")*)"|\[\d*\]|(-?\d+(?:\.\d*)?(?:[eE][-+]?\d+)?)/g)]
+    .filter((m) => m[1] !== undefined || m[2] !== undefined)
+    .map((m) => (m[1] !== undefined ? m[1].replace(/""/g, '"') : Number(m[2])));
+
+// Tiers of a TextGrid as [{ name, annotations }]: intervals with text become
+// regions and TextTier points become point markers
+export const parseTextGridTiers = (text) => {
+  const tokens = tokenizeTextGrid(text);
+  let pos = 0;
+  const take = (type, what) => {
+    const token = tokens[pos++];
+    if (typeof token !== type) throw new Error(`The TextGrid is malformed: expected ${what}.`);
+    return token;
+  };
+  if (tokens[0] !== 'ooTextFile' || tokens[1] !== 'TextGrid') throw new Error('This is not a Praat TextGrid text file.');
+  pos = 2;
+  take('number', 'xmin');
+  take('number', 'xmax');
+  const tierCount = take('number', 'the tier count');
+  const tiers = [];
+  for (let t = 0; t < tierCount; t++) {
+    const tierClass = take('string', 'a tier class');
+    const name = take('string', 'a tier name');
+    take('number', 'tier xmin');
+    take('number', 'tier xmax');
+    const size = take('number', 'the tier size');
+    const annotations = [];
+    for (let k = 0; k < size; k++) {
+      if (tierClass === 'IntervalTier') {
+        const start = take('number', 'interval xmin');
+        const end = take('number', 'interval xmax');
+        const label = take('string', 'interval text');
+        if (label.trim()) annotations.push({ start, end, label });
+      } else if (tierClass === 'TextTier') {
+        const time = take('number', 'point time');
+        annotations.push({ start: time, end: time, label: take('string', 'point mark') });
+      } else {
+        throw new Error(`Unknown TextGrid tier class "${tierClass}".`);
+      }
+    }
+    tiers.push({ name: name || `Tier ${t + 1}`, annotations });
+  }
+  return tiers;
+};
+
+// Annotations of all tiers of a TextGrid
+export const parseTextGrid = (text) => parseTextGridTiers(text).flatMap((tier) => tier.annotations);
+
+const quoteTextGrid = (text) => `"${text.replace(/"/g, '""')}"`;
+
+// Regions go into as many interval tiers as needed to avoid overlaps (gaps
+// filled with empty intervals), point markers into one text tier
+export const formatTextGrid = (annotations, xmax) => {
+  const sorted = sortAnnotations(annotations);
+  const end = Math.max(xmax, ...sorted.map((a) => a.end), 0);
+  const regionTiers = [[]];
+  sorted
+    .filter((a) => !isPointAnnotation(a))
+    .forEach((a) => {
+      let tier = regionTiers.find((list) => !list.length || list[list.length - 1].end <= a.start);
+      if (!tier) {
+        tier = [];
+        regionTiers.push(tier);
+      }
+      tier.push(a);
+    });
+  const points = sorted.filter(isPointAnnotation);
+
+  const tiers = regionTiers.map((regions, i) => {
+    const intervals = [];
+    let time = 0;
+    regions.forEach((a) => {
+      if (a.start > time) intervals.push({ start: time, end: a.start, label: '' });
+      intervals.push(a);
+      time = a.end;
+    });
+    if (time < end || !intervals.length) intervals.push({ start: time, end, label: '' });
+    return [
+      '        class = "IntervalTier" ',
+      `        name = ${quoteTextGrid(i === 0 ? 'regions' : `regions ${i + 1}`)} `,
+      '        xmin = 0 ',
+      `        xmax = ${end} `,
+      `        intervals: size = ${intervals.length} `,
+      ...intervals.flatMap((a, k) => [
+        `        intervals [${k + 1}]:`,
+        `            xmin = ${a.start} `,
+        `            xmax = ${a.end} `,
+        `            text = ${quoteTextGrid(a.label)} `,
+      ]),
+    ];
+  });
+  if (points.length) {
+    tiers.push([
+      '        class = "TextTier" ',
+      '        name = "points" ',
+      '        xmin = 0 ',
+      `        xmax = ${end} `,
+      `        points: size = ${points.length} `,
+      ...points.flatMap((a, k) => [
+        `        points [${k + 1}]:`,
+        `            number = ${a.start} `,
+        `            mark = ${quoteTextGrid(a.label)} `,
+      ]),
+    ]);
+  }
+
+  return [
+    'File type = "ooTextFile"',
+    'Object class = "TextGrid"',
+    '',
+    'xmin = 0 ',
+    `xmax = ${end} `,
+    'tiers? <exists> ',
+    `size = ${tiers.length} `,
+    'item []: ',
+    ...tiers.flatMap((lines, i) => [`    item [${i + 1}]:`, ...lines]),
+  ].join('\n');
+};
+
+// Text of a label file; Praat writes UTF-16 when labels are not ASCII
+const decodeText = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let encoding = 'utf-8';
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) encoding = 'utf-16le';
+  else if (bytes[0] === 0xfe && bytes[1] === 0xff) encoding = 'utf-16be';
+  return new TextDecoder(encoding).decode(bytes);
+};
+
+// Tiers of an Audacity label file (one tier) or a TextGrid, told apart by
+// content, each sorted. Throws an Error describing the problem.
+export const parseLabelTiers = (buffer) => {
+  const text = decodeText(buffer);
+  const tiers = text.includes('ooTextFile') ? parseTextGridTiers(text) : [{ name: 'Labels', annotations: parseAudacityLabels(text) }];
+  return tiers.map((tier) => ({ ...tier, annotations: sortAnnotations(tier.annotations) }));
+};
+
+// Annotations of an Audacity label file or a TextGrid, from all tiers
+export const parseAnnotationFile = (buffer) => sortAnnotations(parseLabelTiers(buffer).flatMap((tier) => tier.annotations));
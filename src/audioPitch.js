@@ -0,0 +1,84 @@
+// Pitch contours from audio files: the file is decoded (and resampled) with the
+// Web Audio API, then YIN runs in a Web Worker so the page stays responsive.
+
+// YIN cost grows with the sample rate; 16 kHz is plenty for vocal pitch
+const ANALYSIS_SAMPLE_RATE = 16000;
+
+export const AUDIO_EXTENSIONS = ['wav', 'mp3', 'flac', 'ogg', 'oga', 'm4a', 'aac', 'webm'];
+
+export const AUDIO_FILE_ACCEPT = AUDIO_EXTENSIONS.map((ext) => `.${ext}`).join(',');
+
+export const DEFAULT_PITCH_TRACKING = { hopMs: 10, minFreq: 75, maxFreq: 800 };
+
+export const isAudioFile = (fileName = '') => {
+  const match = fileName.match(/\.([^.]+)$/);
+  return !!match && AUDIO_EXTENSIONS.includes(match[1].toLowerCase());
+};
+
+// Decodes a File into mono samples at the given sample rate
+export const decodeAudioFile = async (file, sampleRate = ANALYSIS_SAMPLE_RATE) => {
+  const arrayBuffer = await file.arrayBuffer();
+  const context = new OfflineAudioContext(1, 1, sampleRate);
+  const audioBuffer = await context.decodeAudioData(arrayBuffer);
+  const samples = new Float32Array(audioBuffer.length);
+  for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+    const channel = audioBuffer.getChannelData(c);
+    for (let i = 0; i < channel.length; i++) samples[i] += channel[i] / audioBuffer.numberOfChannels;
+  }
+  return { samples, sampleRate: audioBuffer.sampleRate, duration: audioBuffer.duration };
+};
+
+// Returns { promise, cancel }. The promise resolves with [{ x, y }] like the pitch
+// file parsers, or rejects with an AbortError once cancel() is called.
+export const extractPitchFromAudio = (file, settings, onProgress = () => {}) => {
+  const { hopMs, minFreq, maxFreq } = { ...DEFAULT_PITCH_TRACKING, ...settings };
+  let worker = null;
+  let cancelled = false;
+  let rejectPromise = () => {};
+
+  const promise = new Promise((resolve, reject) => {
+    rejectPromise = reject;
+    if (!(hopMs > 0) || !(minFreq > 0) || !(maxFreq > minFreq)) {
+      reject(new Error('Hop size and frequency range must be positive, with min below max.'));
+      return;
+    }
+    onProgress(0);
+    decodeAudioFile(file)
+      .then(({ samples, sampleRate }) => {
+        if (cancelled) return;
+        worker = new Worker(new URL('./yinWorker.js', import.meta.url), { type: 'module' });
+        worker.onmessage = (e) => {
+          if (e.data.type === 'progress') {
+            onProgress(e.data.progress);
+          } else if (e.data.type === 'result') {
+            worker.terminate();
+            onProgress(1);
+            resolve(e.data.data);
+          }
+        };
+        worker.onerror = (e) => {
+          worker.terminate();
+          reject(new Error(e.message || 'Pitch tracking failed.'));
+        };
+        worker.postMessage(
+          {
+            samples,
+            sampleRate,
+            hopSize: Math.max(1, Math.round((hopMs / 1000) * sampleRate)),
+            minFreq,
+            maxFreq,
+          },
+          [samples.buffer]
+        );
+      })
+      .catch((err) => reject(new Error(`Could not decode audio: ${err.message || err}`)));
+  });
+
+  const cancel = () => {
+    cancelled = true;
+    if (worker) worker.terminate();
+    rejectPromise(new DOMException('Pitch tracking cancelled', 'AbortError'));
+  };
+
+  return { promise, cancel };
+};
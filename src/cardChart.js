@@ -0,0 +1,238 @@
+// A card's chart as plain shapes. getCardChart works out what the chart shows
+// from the card state; layoutCardChart places it in a box of a given size as
+// rects, lines and text, which the canvas renderer and the PDF and SVG exports draw.
+import { getWindowPoints, parseWindow } from './contour';
+import { getSilences, processPitchData, splitAtGaps } from './pitchProcessing';
+import { segmentNotes } from './segmentation';
+import { getIntonationLevel } from './intonation';
+import { getOutOfRagaBands } from './swaras';
+import { getWindowAnnotations, isPointAnnotation } from './annotations';
+import { decimateSegments } from './decimation';
+import { getAxisTicks, getAxisTitle, isRelativeAxis, toAxisValue } from './yAxis';
+
+export const CONTOUR_COLOR = '#4f46e5';
+export const OUT_OF_RAGA_FILL = 'rgba(220, 38, 38, 0.1)';
+export const RAW_CONTOUR_COLOR = 'rgba(148, 163, 184, 0.7)';
+export const SILENCE_FILL = 'rgba(100, 116, 139, 0.12)';
+export const STABLE_NOTE_FILL = 'rgba(16, 185, 129, 0.16)';
+export const GAMAKA_FILL = 'rgba(245, 158, 11, 0.16)';
+export const NOTE_LABEL_COLOR = '#047857';
+export const INTONATION_FILLS = {
+  good: 'rgba(16, 185, 129, 0.45)',
+  fair: 'rgba(245, 158, 11, 0.45)',
+  poor: 'rgba(220, 38, 38, 0.45)',
+};
+export const ANNOTATION_FILL = 'rgba(147, 51, 234, 0.12)';
+export const ANNOTATION_COLOR = '#7e22ce';
+
+const CHART_MARGIN = { left: 70, right: 20, top: 35, bottom: 45 };
+const X_TICKS = 6;
+
+// Smoothing/correction runs over the whole file so edits at the window edges match
+export const processCard = ({ pitchData, processing }) =>
+  processing.enabled ? processPitchData(pitchData, processing) : { data: pitchData, stats: null };
+
+// Plotted data of a card, given its processed pitch data
+export const getCardChart = (card, processedData, { yAxisType, swaraSet }) => {
+  const { pitchData, startTime, endTime, tonic, processing, lineBreaks, segmentation, intonation, annotations } = card;
+  const window = { startTime, endTime, tonic };
+  const filteredData = getWindowPoints(processedData, window, yAxisType);
+  // Unprocessed contour drawn faintly behind the cleaned one
+  const rawData = processing.enabled && processing.showRaw ? getWindowPoints(pitchData, window, yAxisType) : [];
+  // Lines are drawn per voiced segment so silences stay empty
+  const segments = splitAtGaps(filteredData, lineBreaks.maxGapMs);
+  // Cents above the tonic whatever the Y axis, for the analysis panels
+  const centsData = getWindowPoints(processedData, window, 'cents');
+  const heldSegments = centsData.length ? segmentNotes(centsData, segmentation, swaraSet, lineBreaks.maxGapMs) : [];
+  const centsToAxis = (c) => toAxisValue(Number(tonic) * 2 ** (c / 1200), yAxisType, Number(tonic));
+  return {
+    filteredData,
+    rawData,
+    segments,
+    rawSegments: splitAtGaps(rawData, lineBreaks.maxGapMs),
+    silences: lineBreaks.shadeSilences ? getSilences(segments) : [],
+    centsData,
+    heldSegments,
+    noteSegments: segmentation.enabled ? heldSegments : [],
+    annotations,
+    // Held notes shaded between their target swara and their mean, in axis values
+    intonationBands: intonation.shade
+      ? heldSegments
+        .filter((seg) => seg.type === 'stable')
+        .map((seg) => {
+          const [target, mean] = [centsToAxis(seg.target), centsToAxis(seg.meanCents)];
+          return { start: seg.start, end: seg.end, low: Math.min(target, mean), high: Math.max(target, mean), level: getIntonationLevel(seg.deviation) };
+        })
+      : [],
+  };
+};
+
+// What a card off screen plots: nothing, so its chart is not worked out
+export const EMPTY_CARD_CHART = {
+  filteredData: [],
+  rawData: [],
+  segments: [],
+  rawSegments: [],
+  silences: [],
+  centsData: [],
+  heldSegments: [],
+  noteSegments: [],
+  annotations: [],
+  intonationBands: [],
+};
+
+// Y range of the contour, widened when it is flat
+const getYDomain = (points) => {
+  let min = Infinity;
+  let max = -Infinity;
+  points.forEach((p) => {
+    if (p.y < min) min = p.y;
+    if (p.y > max) max = p.y;
+  });
+  return min === max ? [min - 1, max + 1] : [min, max];
+};
+
+// { width, height, plot, toX, toY, items } with plot = { left, top, width, height }
+// and items in drawing order, each one of
+//   { type: 'rect', x, y, width, height, fill, clip }
+//   { type: 'path', segments: [[[x, y], ...]], stroke, lineWidth, dash, clip }
+//   { type: 'text', x, y, text, size, bold, color, align, baseline }
+// where clip items are cut to the plot area. Null when there is nothing to plot.
+export const layoutCardChart = (chart, card, { yAxisType, swaraSet, raga, tuning, shadeOutOfRaga }, width, height) => {
+  const window = parseWindow(card, isRelativeAxis(yAxisType));
+  if (!window || !chart.filteredData.length) return null;
+  const [yMin, yMax] = getYDomain(chart.filteredData);
+  const plot = {
+    left: CHART_MARGIN.left,
+    top: CHART_MARGIN.top,
+    width: width - CHART_MARGIN.left - CHART_MARGIN.right,
+    height: height - CHART_MARGIN.top - CHART_MARGIN.bottom,
+  };
+  const bottom = plot.top + plot.height;
+  const toX = (t) => plot.left + ((t - window.start) / (window.end - window.start)) * plot.width;
+  const toY = (value) => bottom - ((value - yMin) / (yMax - yMin)) * plot.height;
+  // Long contours are drawn with about two points per unit of plot width
+  const toPath = (segments) =>
+    decimateSegments(segments, window.start, window.end, Math.ceil(plot.width)).map((segment) =>
+      segment.map((p) => [toX(p.x), toY(p.y)])
+    );
+  const span = (start, end, fill) => ({ type: 'rect', x: toX(start), y: plot.top, width: toX(end) - toX(start), height: plot.height, fill });
+
+  const items = [{ type: 'rect', x: plot.left, y: plot.top, width: plot.width, height: plot.height, fill: '#ffffff' }];
+
+  // Silences between voiced segments
+  chart.silences.forEach(({ start, end }) => items.push(span(start, end, SILENCE_FILL)));
+
+  // Stable notes and transitions, stable ones labelled with their swara
+  chart.noteSegments.forEach(({ type, start, end, swara }) => {
+    items.push(span(start, end, type === 'stable' ? STABLE_NOTE_FILL : GAMAKA_FILL));
+    if (swara) {
+      items.push({ type: 'text', x: (toX(start) + toX(end)) / 2, y: plot.top + 2, text: swara, size: 11, color: NOTE_LABEL_COLOR, align: 'center', baseline: 'top' });
+    }
+  });
+
+  // Deviation of held notes from their swara
+  chart.intonationBands.forEach(({ start, end, low, high, level }) => {
+    items.push({
+      type: 'rect',
+      x: toX(start),
+      y: toY(high) - 1,
+      width: toX(end) - toX(start),
+      height: Math.max(2, toY(low) - toY(high) + 2),
+      fill: INTONATION_FILLS[level],
+      clip: true,
+    });
+  });
+
+  // Positions outside the raga
+  if (shadeOutOfRaga && isRelativeAxis(yAxisType)) {
+    getOutOfRagaBands(raga, tuning, yMin, yMax).forEach(([low, high]) => {
+      items.push({ type: 'rect', x: plot.left, y: toY(high), width: plot.width, height: toY(low) - toY(high), fill: OUT_OF_RAGA_FILL });
+    });
+  }
+
+  // Annotated regions and point markers, labelled along the bottom of the plot
+  getWindowAnnotations(chart.annotations, window.start, window.end).forEach((a) => {
+    const x0 = toX(Math.max(a.start, window.start));
+    const label = { type: 'text', y: bottom - 4, text: a.label, size: 11, color: ANNOTATION_COLOR, baseline: 'bottom' };
+    if (isPointAnnotation(a)) {
+      items.push({ type: 'path', segments: [[[x0, plot.top], [x0, bottom]]], stroke: ANNOTATION_COLOR, lineWidth: 1.5, dash: [6, 3] });
+      if (a.label) items.push({ ...label, x: x0 + 3, align: 'left' });
+    } else {
+      const x1 = toX(Math.min(a.end, window.end));
+      items.push({ type: 'rect', x: x0, y: plot.top, width: x1 - x0, height: plot.height, fill: ANNOTATION_FILL });
+      if (a.label) items.push({ ...label, x: (x0 + x1) / 2, align: 'center' });
+    }
+  });
+
+  // Horizontal grid lines for the Y axis mode
+  const labelColor = yAxisType === 'swaras' || yAxisType === 'notes' ? '#1e40af' : '#4b5563';
+  getAxisTicks(yAxisType, yMin, yMax, plot.height, swaraSet).forEach(({ value, label }) => {
+    const y = toY(value);
+    items.push({ type: 'path', segments: [[[plot.left, y], [plot.left + plot.width, y]]], stroke: '#a3a3a3', lineWidth: 1, dash: [4, 4] });
+    items.push({ type: 'text', x: plot.left - 18, y, text: label, size: 13, color: labelColor, align: 'right', baseline: 'middle' });
+  });
+  items.push({ type: 'text', x: 8, y: plot.top - 18, text: getAxisTitle(yAxisType), size: 15, bold: true, color: '#1e40af', align: 'left', baseline: 'top' });
+
+  // X axis ticks
+  for (let i = 0; i <= X_TICKS; i++) {
+    const x = plot.left + (plot.width * i) / X_TICKS;
+    const time = window.start + ((window.end - window.start) * i) / X_TICKS;
+    items.push({ type: 'text', x, y: bottom + 10, text: time.toFixed(2), size: 11, color: '#4b5563', align: 'center', baseline: 'top' });
+    items.push({ type: 'path', segments: [[[x, plot.top], [x, bottom]]], stroke: 'rgba(156, 163, 175, 0.15)', lineWidth: 1 });
+  }
+
+  // Axes
+  items.push({ type: 'path', segments: [[[plot.left, plot.top], [plot.left, bottom], [plot.left + plot.width, bottom]]], stroke: '#cbd5e1', lineWidth: 1 });
+
+  // Raw contour behind the processed one
+  if (chart.rawData.length) {
+    items.push({ type: 'path', segments: toPath(chart.rawSegments), stroke: RAW_CONTOUR_COLOR, lineWidth: 1.5, clip: true });
+  }
+  items.push({ type: 'path', segments: toPath(chart.segments), stroke: CONTOUR_COLOR, lineWidth: 3 });
+
+  return { width, height, plot, toX, toY, items };
+};
+
+// [r, g, b] and opacity of a layout color, '#rrggbb' or 'rgb[a](r, g, b[, a])',
+// for outputs without rgba colors
+export const parseColor = (color) => {
+  if (color.startsWith('#')) {
+    return { rgb: [1, 3, 5].map((i) => parseInt(color.slice(i, i + 2), 16)), alpha: 1 };
+  }
+  const [r, g, b, a = 1] = color.replace(/[^\d.,]/g, '').split(',').map(Number);
+  return { rgb: [r, g, b], alpha: a };
+};
+
+// Draws a layout on a 2D canvas context
+export const drawChartLayout = (ctx, layout, fontFamily) => {
+  const { plot } = layout;
+  layout.items.forEach((item) => {
+    ctx.save();
+    if (item.clip) {
+      ctx.beginPath();
+      ctx.rect(plot.left, plot.top, plot.width, plot.height);
+      ctx.clip();
+    }
+    if (item.type === 'rect') {
+      ctx.fillStyle = item.fill;
+      ctx.fillRect(item.x, item.y, item.width, item.height);
+    } else if (item.type === 'path') {
+      ctx.strokeStyle = item.stroke;
+      ctx.lineWidth = item.lineWidth;
+      ctx.setLineDash(item.dash || []);
+      ctx.beginPath();
+      item.segments.forEach((segment) =>
+        segment.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)))
+      );
+      ctx.stroke();
+    } else {
+      ctx.font = `${item.bold ? 'bold ' : ''}${item.size}px ${fontFamily}`;
+      ctx.fillStyle = item.color;
+      ctx.textAlign = item.align;
+      ctx.textBaseline = item.baseline;
+      ctx.fillText(item.text, item.x, item.y);
+    }
+    ctx.restore();
+  });
+};
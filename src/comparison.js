@@ -0,0 +1,46 @@
+// Series for the comparison card: contours from several cards on one chart.
+// Time is relative to each source's window start plus its offset; pitch is in
+// cents above the source's own Sa (normalized) or the shared reference Sa.
+import { processPitchData } from './pitchProcessing';
+import { getWindowPoints, parseWindow } from './contour';
+import { hzToCents } from './swaras';
+
+export const COMPARISON_COLORS = ['#4f46e5', '#dc2626', '#059669', '#d97706', '#0891b2', '#c026d3', '#4b5563'];
+
+export const createComparisonSource = (cardIndex, existing) => ({
+  cardIndex,
+  color: COMPARISON_COLORS[existing.length % COMPARISON_COLORS.length],
+  offset: 0,
+  normalizeTonic: true,
+});
+
+// Reference Sa: the entered value, else the first source card's tonic
+export const getReferenceTonic = (referenceTonic, sources, cards) => {
+  const entered = Number(referenceTonic);
+  if (referenceTonic !== '' && entered > 0) return entered;
+  const first = sources.map((s) => cards[s.cardIndex]).find((card) => card && Number(card.tonic) > 0);
+  return first ? Number(first.tonic) : null;
+};
+
+// [{ source, label, points, error }] with points { x, y: cents, hz, series }
+export const buildComparisonSeries = (sources, cards, referenceTonicHz) =>
+  sources.map((source) => {
+    const card = cards[source.cardIndex];
+    const label = `Card ${source.cardIndex + 1}${card?.fileName ? ` · ${card.fileName}` : ''}`;
+    if (!card || !card.pitchData.length) return { source, label, points: [], error: 'No pitch data' };
+    const window = parseWindow(card, source.normalizeTonic);
+    if (!window) {
+      return { source, label, points: [], error: source.normalizeTonic ? 'Needs a time window and tonic' : 'Needs a time window' };
+    }
+    const sa = source.normalizeTonic ? window.tonicHz : referenceTonicHz;
+    if (!sa) return { source, label, points: [], error: 'Needs a reference Sa' };
+    const data = card.processing.enabled ? processPitchData(card.pitchData, card.processing).data : card.pitchData;
+    const shift = source.offset - window.start;
+    const points = getWindowPoints(data, card, 'hz').map((p) => ({
+      x: p.x + shift,
+      y: hzToCents(p.hz, sa),
+      hz: p.hz,
+      series: label,
+    }));
+    return { source, label, points, error: null };
+  });
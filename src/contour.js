@@ -0,0 +1,39 @@
+// Voiced points of a card's time window, as plotted by the renderers.
+import { isRelativeAxis, toAxisValue } from './yAxis';
+
+// Numeric { start, end, tonicHz } of a card's inputs, or null when the window
+// (or a tonic the axis needs) is missing or invalid
+export const parseWindow = ({ startTime, endTime, tonic }, needsTonic) => {
+  if (startTime === '' || endTime === '' || (needsTonic && !tonic)) return null;
+  const start = Number(startTime);
+  const end = Number(endTime);
+  const tonicHz = Number(tonic);
+  if (isNaN(start) || isNaN(end) || start >= end) return null;
+  if (needsTonic && (isNaN(tonicHz) || tonicHz <= 0)) return null;
+  return { start, end, tonicHz };
+};
+
+// Index of the first point of time-ordered data for which before(point) is false
+const bisect = (data, before) => {
+  let low = 0;
+  let high = data.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (before(data[mid])) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+};
+
+// [{ x, y: axis value, hz }] of the voiced frames inside the window. The data
+// is time-ordered (as parsed), so only the window's part of a long file is read.
+export const getWindowPoints = (data, window, yAxisType) => {
+  const parsed = parseWindow(window, isRelativeAxis(yAxisType));
+  if (!parsed) return [];
+  const { start, end, tonicHz } = parsed;
+  return data
+    .slice(bisect(data, (p) => p.x < start), bisect(data, (p) => p.x <= end))
+    .filter((p) => p.y > 0)
+    .map((p) => ({ x: p.x, y: toAxisValue(p.y, yAxisType, tonicHz), hz: p.y }))
+    .filter((p) => p.y !== null && isFinite(p.y));
+};
@@ -0,0 +1,74 @@
+// Pitch data of cards' time windows as CSV, TSV or JSON records: time, the
+// original and the processed Hz, cents above the tonic and the nearest swara
+// with the deviation from it.
+import { getWindowPoints } from './contour';
+import { nearestSwara } from './segmentation';
+import { hzToCents } from './swaras';
+
+export const DATA_EXPORT_FORMATS = [
+  { id: 'csv', label: 'CSV', extension: 'csv', type: 'text/csv' },
+  { id: 'tsv', label: 'TSV', extension: 'tsv', type: 'text/tab-separated-values' },
+  { id: 'json', label: 'JSON', extension: 'json', type: 'application/json' },
+];
+
+// In output order; header is the CSV/TSV column and JSON key
+export const DATA_EXPORT_COLUMNS = [
+  { id: 'card', label: 'Card', header: 'card' },
+  { id: 'file', label: 'File name', header: 'file' },
+  { id: 'time', label: 'Time', header: 'time_s' },
+  { id: 'hz', label: 'Hz', header: 'hz' },
+  { id: 'processedHz', label: 'Processed Hz', header: 'processed_hz' },
+  { id: 'cents', label: 'Cents', header: 'cents' },
+  { id: 'swara', label: 'Nearest swara', header: 'swara' },
+  { id: 'deviation', label: 'Deviation', header: 'deviation_cents' },
+];
+
+export const DEFAULT_DATA_EXPORT = { format: 'csv', columns: DATA_EXPORT_COLUMNS.map((c) => c.id) };
+
+export const getDataExportFormat = (id) => DATA_EXPORT_FORMATS.find((f) => f.id === id) || DATA_EXPORT_FORMATS[0];
+
+const round = (value, digits) => (value === null ? null : Number(value.toFixed(digits)));
+
+// One record per voiced frame of the card's window in its processed data. hz
+// is the card's original value for the frame (null for frames that processing
+// filled in), processedHz the processed one, which cents, swara and deviation
+// are worked out from; those are null when the card has no valid tonic.
+export const getDataRows = (card, cardNumber, processedData, swaraSet) => {
+  const octave = swaraSet.filter((s) => s.cents < 1200);
+  const tonicHz = Number(card.tonic) > 0 ? Number(card.tonic) : null;
+  const originalHz = new Map(getWindowPoints(card.pitchData, card, 'hz').map((p) => [p.x, p.hz]));
+  return getWindowPoints(processedData, card, 'hz').map((p) => {
+    const cents = tonicHz ? hzToCents(p.hz, tonicHz) : null;
+    const nearest = cents === null ? null : nearestSwara(cents, octave);
+    return {
+      card: cardNumber,
+      file: card.fileName,
+      time: round(p.x, 6),
+      hz: originalHz.has(p.x) ? round(originalHz.get(p.x), 3) : null,
+      processedHz: round(p.hz, 3),
+      cents: round(cents, 2),
+      swara: nearest ? nearest.name : null,
+      deviation: nearest ? round(nearest.deviation, 2) : null,
+    };
+  });
+};
+
+const quote = (value, delimiter) => {
+  const text = String(value);
+  return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Text of the rows with the chosen column ids, in the format's layout
+export const formatDataRows = (rows, columnIds, formatId) => {
+  const columns = DATA_EXPORT_COLUMNS.filter((c) => columnIds.includes(c.id));
+  if (formatId === 'json') {
+    // One record per line keeps large exports readable
+    const records = rows.map((row) => JSON.stringify(Object.fromEntries(columns.map((c) => [c.header, row[c.id]]))));
+    return `[\n${records.join(',\n')}\n]`;
+  }
+  const delimiter = formatId === 'tsv' ? '\t' : ',';
+  const lines = rows.map((row) =>
+    columns.map((c) => (row[c.id] === null ? '' : quote(row[c.id], delimiter))).join(delimiter)
+  );
+  return [columns.map((c) => c.header).join(delimiter), ...lines].join('\n');
+};
@@ -0,0 +1,62 @@
+// Helpers for hour-long contours: extents computed in a loop (spreading
+// hundreds of thousands of values into Math.min/max overflows the call
+// stack) and min/max decimation to the drawn width before rendering.
+
+// [min, max] of numbers, or [Infinity, -Infinity] for none
+export const getExtent = (values) => {
+  let min = Infinity;
+  let max = -Infinity;
+  for (const value of values) {
+    if (value < min) min = value;
+    if (value > max) max = value;
+  }
+  return [min, max];
+};
+
+// Lowest and highest point (in time order) of each bucketWidth time slice
+// from start, plus the first and last point, so peaks such as gamakas and
+// octave jumps survive
+const reduceToBuckets = (points, start, bucketWidth) => {
+  const result = [points[0]];
+  let bucket = null;
+  let low = null;
+  let high = null;
+  const flush = () => {
+    if (!low) return;
+    const pair = low.x <= high.x ? [low, high] : [high, low];
+    pair.forEach((p) => {
+      if (p !== result[result.length - 1]) result.push(p);
+    });
+  };
+  points.forEach((p) => {
+    const b = Math.floor((p.x - start) / bucketWidth);
+    if (b !== bucket) {
+      flush();
+      bucket = b;
+      low = p;
+      high = p;
+    } else if (p.y < low.y) {
+      low = p;
+    } else if (p.y > high.y) {
+      high = p;
+    }
+  });
+  flush();
+  const last = points[points.length - 1];
+  if (result[result.length - 1] !== last) result.push(last);
+  return result;
+};
+
+// A time-ordered contour reduced to at most about two points for each of
+// `buckets` equal time slices of [start, end]. Contours that are already
+// that sparse are returned as they are.
+export const decimateMinMax = (points, start, end, buckets) =>
+  points.length <= 2 * buckets || !(end > start) ? points : reduceToBuckets(points, start, (end - start) / buckets);
+
+// Voiced segments (see splitAtGaps) decimated together on the same time
+// slices, so the gaps between them are kept
+export const decimateSegments = (segments, start, end, buckets) => {
+  const total = segments.reduce((sum, segment) => sum + segment.length, 0);
+  if (total <= 2 * buckets || !(end > start)) return segments;
+  return segments.map((segment) => (segment.length > 2 ? reduceToBuckets(segment, start, (end - start) / buckets) : segment));
+};
@@ -0,0 +1,79 @@
+// Dynamic time warping between two pitch contours in cents. Contours longer
+// than MAX_DTW_POINTS are resampled first so the cost matrix stays small.
+
+const MAX_DTW_POINTS = 800;
+
+// Every n-th point, keeping at most maxPoints
+const decimate = (points, maxPoints) => {
+  const stride = Math.max(1, Math.ceil(points.length / maxPoints));
+  return points.filter((_, i) => i % stride === 0);
+};
+
+// Optimal warping path between value arrays a and b as [[i, j], ...] from
+// [0, 0] to [a.length - 1, b.length - 1], with the summed |a[i] - b[j]| cost
+export const dtw = (a, b) => {
+  const n = a.length;
+  const m = b.length;
+  const cost = new Float64Array(n * m);
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < m; j++) {
+      const d = Math.abs(a[i] - b[j]);
+      if (i === 0 && j === 0) cost[0] = d;
+      else if (i === 0) cost[j] = d + cost[j - 1];
+      else if (j === 0) cost[i * m] = d + cost[(i - 1) * m];
+      else cost[i * m + j] = d + Math.min(cost[(i - 1) * m + j], cost[i * m + j - 1], cost[(i - 1) * m + j - 1]);
+    }
+  }
+
+  const path = [[n - 1, m - 1]];
+  let i = n - 1;
+  let j = m - 1;
+  while (i > 0 || j > 0) {
+    if (i === 0) j--;
+    else if (j === 0) i--;
+    else {
+      const diagonal = cost[(i - 1) * m + j - 1];
+      const up = cost[(i - 1) * m + j];
+      const left = cost[i * m + j - 1];
+      if (diagonal <= up && diagonal <= left) {
+        i--;
+        j--;
+      } else if (up <= left) i--;
+      else j--;
+    }
+    path.push([i, j]);
+  }
+  path.reverse();
+  return { path, cost: cost[n * m - 1] };
+};
+
+// Aligns query onto the reference timeline. Points are { x: time, y: cents }.
+// Returns null when either contour is empty, else:
+// { path: [{ x: reference time, y: query time }], aligned: [{ x, y }],
+//   deviation: [{ x, y: query - reference cents }], score, rms }
+// where score is the mean absolute deviation (cents) along the path.
+export const alignContours = (referencePoints, queryPoints, maxPoints = MAX_DTW_POINTS) => {
+  if (!referencePoints.length || !queryPoints.length) return null;
+  const reference = decimate(referencePoints, maxPoints);
+  const query = decimate(queryPoints, maxPoints);
+  const { path, cost } = dtw(reference.map((p) => p.y), query.map((p) => p.y));
+
+  // Average the query values matched to each reference point
+  const sums = new Float64Array(reference.length);
+  const counts = new Uint32Array(reference.length);
+  let squared = 0;
+  path.forEach(([i, j]) => {
+    sums[i] += query[j].y;
+    counts[i]++;
+    squared += (query[j].y - reference[i].y) ** 2;
+  });
+  const aligned = reference.map((p, i) => ({ x: p.x, y: sums[i] / counts[i] }));
+
+  return {
+    path: path.map(([i, j]) => ({ x: reference[i].x, y: query[j].x })),
+    aligned,
+    deviation: aligned.map((p, i) => ({ x: p.x, y: p.y - reference[i].y })),
+    score: cost / path.length,
+    rms: Math.sqrt(squared / path.length),
+  };
+};
@@ -0,0 +1,65 @@
+// Pitch distribution of a card's window: a time-weighted cents histogram and
+// the time spent near each swara. Points are { x: time, y: cents above Sa }.
+import { getHopSize } from './pitchProcessing';
+import { getExtent } from './decimation';
+
+export const HISTOGRAM_BIN_WIDTHS = [5, 10, 20, 25, 50, 100];
+
+export const DEFAULT_HISTOGRAM = { binWidth: 10, folded: true };
+
+const foldCents = (cents) => ((cents % 1200) + 1200) % 1200;
+
+// Seconds each point stands for: the gap to the next point, capped at one
+// hop so silences are not counted
+const getDurations = (points) => {
+  const hop = getHopSize(points);
+  return points.map((p, i) => (i + 1 < points.length ? Math.min(points[i + 1].x - p.x, hop) : hop));
+};
+
+// [{ start, end, seconds }] bins covering the data, or one octave when folded
+export const computeHistogram = (points, { binWidth, folded }) => {
+  if (!points.length) return [];
+  const durations = getDurations(points);
+  const values = points.map((p) => (folded ? foldCents(p.y) : p.y));
+  const [min, max] = getExtent(values);
+  const first = folded ? 0 : Math.floor(min / binWidth) * binWidth;
+  const last = folded ? 1200 : (Math.floor(max / binWidth) + 1) * binWidth;
+  const bins = [];
+  for (let start = first; start < last; start += binWidth) {
+    bins.push({ start, end: start + binWidth, seconds: 0 });
+  }
+  values.forEach((v, i) => {
+    const bin = bins[Math.min(bins.length - 1, Math.floor((v - first) / binWidth))];
+    bin.seconds += durations[i];
+  });
+  return bins;
+};
+
+// Time near each swara of the set and the mean deviation from it:
+// [{ name, cents, seconds, share, meanDeviation }] (meanDeviation null when unused)
+export const getSwaraStats = (points, swaraSet) => {
+  const durations = getDurations(points);
+  const total = durations.reduce((sum, d) => sum + d, 0);
+  const stats = swaraSet.map((swara) => ({ name: swara.name, cents: swara.cents, seconds: 0, weightedDeviation: 0 }));
+  points.forEach((p, i) => {
+    const folded = foldCents(p.y);
+    let nearest = null;
+    let deviation = Infinity;
+    stats.forEach((stat) => {
+      // Compare across the octave boundary so Ni-sharp Sa counts as Sa
+      const d = ((folded - stat.cents + 1800) % 1200) - 600;
+      if (Math.abs(d) < Math.abs(deviation)) {
+        nearest = stat;
+        deviation = d;
+      }
+    });
+    if (!nearest) return;
+    nearest.seconds += durations[i];
+    nearest.weightedDeviation += deviation * durations[i];
+  });
+  return stats.map(({ weightedDeviation, ...stat }) => ({
+    ...stat,
+    share: total ? stat.seconds / total : 0,
+    meanDeviation: stat.seconds ? weightedDeviation / stat.seconds : null,
+  }));
+};
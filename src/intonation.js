@@ -0,0 +1,68 @@
+// Intonation of held notes against the swara grid. Uses the stable notes from
+// segmentNotes and the { x: time, y: cents } points they were found in.
+
+export const DEFAULT_INTONATION = { shade: false };
+
+// |mean offset| limits (cents) for the good / fair shading on the chart
+export const INTONATION_GOOD_CENTS = 10;
+export const INTONATION_FAIR_CENTS = 25;
+
+export const getIntonationLevel = (deviation) => {
+  const abs = Math.abs(deviation);
+  if (abs <= INTONATION_GOOD_CENTS) return 'good';
+  return abs <= INTONATION_FAIR_CENTS ? 'fair' : 'poor';
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const foldCents = (cents) => ((cents % 1200) + 1200) % 1200;
+
+// One row per swara of the octave: { name, cents, notes, seconds, meanOffset,
+// medianOffset, spread } with offsets taken frame by frame from the target
+// swara position; the offsets are null for swaras that were never held
+export const computeIntonationReport = (points, segments, swaraSet) => {
+  const rows = swaraSet
+    .filter((s) => s.cents < 1200)
+    .map((s) => ({ name: s.name, cents: s.cents, notes: 0, seconds: 0, offsets: [] }));
+  let p = 0;
+  segments
+    .filter((seg) => seg.type === 'stable')
+    .forEach((seg) => {
+      const row = rows.find((r) => Math.abs(r.cents - foldCents(seg.target)) < 1e-6);
+      if (!row) return;
+      row.notes++;
+      row.seconds += seg.end - seg.start;
+      while (p < points.length && points[p].x < seg.start) p++;
+      for (let i = p; i < points.length && points[i].x <= seg.end; i++) {
+        row.offsets.push(points[i].y - seg.target);
+      }
+    });
+  return rows.map(({ offsets, ...row }) => {
+    if (!offsets.length) return { ...row, meanOffset: null, medianOffset: null, spread: null };
+    const mean = offsets.reduce((sum, v) => sum + v, 0) / offsets.length;
+    const variance = offsets.reduce((sum, v) => sum + (v - mean) ** 2, 0) / offsets.length;
+    return { ...row, meanOffset: mean, medianOffset: median(offsets), spread: Math.sqrt(variance) };
+  });
+};
+
+const formatNumber = (value, digits) => (value === null ? '' : value.toFixed(digits));
+
+export const formatIntonationCsv = (report) => {
+  const header = 'swara,target_cents,held_notes,seconds,mean_offset_cents,median_offset_cents,spread_cents';
+  const lines = report.map((row) =>
+    [
+      `"${row.name.replace(/"/g, '""')}"`,
+      formatNumber(row.cents, 0),
+      row.notes,
+      formatNumber(row.seconds, 3),
+      formatNumber(row.meanOffset, 2),
+      formatNumber(row.medianOffset, 2),
+      formatNumber(row.spread, 2),
+    ].join(',')
+  );
+  return [header, ...lines].join('\n');
+};
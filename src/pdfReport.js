@@ -0,0 +1,184 @@
+// Multi-page PDF report of the cards: a title page, then each card's chart
+// with its file, time window, tonic, Y axis and notes. Charts are drawn from
+// the card layouts as vector shapes, so lines and text stay sharp when zoomed.
+import { jsPDF, GState } from 'jspdf';
+import { getCardChart, layoutCardChart, parseColor, processCard } from './cardChart';
+import { getSwaraSet } from './swaras';
+import { Y_AXIS_TYPES } from './yAxis';
+
+export const REPORT_CARDS_PER_PAGE = [1, 2, 3];
+export const DEFAULT_REPORT = { title: 'Pitch Graph Report', cardsPerPage: 2 };
+
+// A4 portrait, in points
+const PAGE_MARGIN = 40;
+const FOOTER_HEIGHT = 20;
+// Charts are laid out at screen size and scaled to the page, so they keep
+// the proportions and font sizes of the canvas renderer
+const CHART_LAYOUT_WIDTH = 760;
+const MIN_CHART_HEIGHT = 120;
+const TEXT_COLOR = [55, 65, 81];
+const HEADING_COLOR = [30, 64, 175];
+const MUTED_COLOR = [107, 114, 128];
+
+// The built-in PDF fonts have no sharp and flat signs
+const toPdfText = (text) => text.replace(/♯/g, '#').replace(/♭/g, 'b');
+
+const getAxisLabel = (yAxisType) => (Y_AXIS_TYPES.find((t) => t.id === yAxisType) || Y_AXIS_TYPES[0]).label;
+
+const describeWindow = ({ startTime, endTime }) =>
+  startTime !== '' && endTime !== '' ? `${startTime} - ${endTime} s` : 'not set';
+
+const describeTonic = ({ tonic }) => (tonic ? `${tonic} Hz` : 'not set');
+
+// Draws a chart layout with its top left corner at (x, y)
+const drawLayout = (doc, layout, x, y, scale) => {
+  const opacities = new Map();
+  const setOpacity = (alpha) => {
+    if (!opacities.has(alpha)) opacities.set(alpha, new GState({ opacity: alpha, 'stroke-opacity': alpha }));
+    doc.setGState(opacities.get(alpha));
+  };
+  const px = (value) => x + value * scale;
+  const py = (value) => y + value * scale;
+  const { plot } = layout;
+
+  layout.items.forEach((item) => {
+    doc.saveGraphicsState();
+    if (item.clip) {
+      doc.rect(px(plot.left), py(plot.top), plot.width * scale, plot.height * scale, null);
+      doc.clip();
+      doc.discardPath();
+    }
+    if (item.type === 'rect') {
+      const { rgb, alpha } = parseColor(item.fill);
+      setOpacity(alpha);
+      doc.setFillColor(...rgb);
+      doc.rect(px(item.x), py(item.y), item.width * scale, item.height * scale, 'F');
+    } else if (item.type === 'path') {
+      const { rgb, alpha } = parseColor(item.stroke);
+      setOpacity(alpha);
+      doc.setDrawColor(...rgb);
+      doc.setLineWidth(item.lineWidth * scale);
+      doc.setLineJoin('round');
+      doc.setLineDashPattern((item.dash || []).map((d) => d * scale), 0);
+      item.segments.forEach((segment) => {
+        segment.forEach(([sx, sy], i) => (i === 0 ? doc.moveTo(px(sx), py(sy)) : doc.lineTo(px(sx), py(sy))));
+      });
+      doc.stroke();
+    } else {
+      const { rgb, alpha } = parseColor(item.color);
+      setOpacity(alpha);
+      doc.setTextColor(...rgb);
+      doc.setFont('helvetica', item.bold ? 'bold' : 'normal');
+      doc.setFontSize(item.size * scale);
+      doc.text(toPdfText(item.text), px(item.x), py(item.y), { align: item.align, baseline: item.baseline });
+    }
+    doc.restoreGraphicsState();
+  });
+};
+
+// Writes lines of text from y and returns the y below them
+const writeLines = (doc, lines, x, y, size, color, style = 'normal') => {
+  doc.setFont('helvetica', style);
+  doc.setFontSize(size);
+  doc.setTextColor(...color);
+  const lineHeight = size * 1.3;
+  lines.forEach((line, i) => doc.text(toPdfText(line), x, y + i * lineHeight, { baseline: 'top' }));
+  return y + lines.length * lineHeight;
+};
+
+const drawTitlePage = (doc, { title, cards, yAxisType, tuning, sessionRaga }) => {
+  const width = doc.internal.pageSize.getWidth() - 2 * PAGE_MARGIN;
+  let y = writeLines(doc, doc.splitTextToSize(title, width), PAGE_MARGIN, PAGE_MARGIN + 60, 26, HEADING_COLOR, 'bold');
+  y = writeLines(doc, [`Generated ${new Date().toLocaleString()}`], PAGE_MARGIN, y + 8, 11, MUTED_COLOR);
+  y = writeLines(
+    doc,
+    [
+      `Cards: ${cards.length}`,
+      `Y axis: ${getAxisLabel(yAxisType)}`,
+      `Tuning: ${tuning.name}`,
+      `Raga: ${sessionRaga ? sessionRaga.name : 'All swaras'}`,
+    ],
+    PAGE_MARGIN,
+    y + 24,
+    12,
+    TEXT_COLOR
+  );
+  y = writeLines(doc, ['Contents'], PAGE_MARGIN, y + 24, 14, HEADING_COLOR, 'bold');
+  cards.forEach((card, i) => {
+    if (y > doc.internal.pageSize.getHeight() - PAGE_MARGIN - FOOTER_HEIGHT) return;
+    const line = `${i + 1}. ${card.fileName || 'No file'}, ${describeWindow(card)}, tonic ${describeTonic(card)}`;
+    y = writeLines(doc, doc.splitTextToSize(line, width), PAGE_MARGIN, y + 4, 11, TEXT_COLOR);
+  });
+};
+
+// One card in the box from top to top + height: heading, details, notes, chart
+const drawCard = (doc, card, index, top, height, view) => {
+  const width = doc.internal.pageSize.getWidth() - 2 * PAGE_MARGIN;
+  let y = writeLines(
+    doc,
+    doc.splitTextToSize(`Card ${index + 1}: ${card.fileName || 'No file'}`, width),
+    PAGE_MARGIN,
+    top,
+    13,
+    HEADING_COLOR,
+    'bold'
+  );
+  const details = [
+    `Time window: ${describeWindow(card)}`,
+    `Tonic: ${describeTonic(card)}`,
+    `Y axis: ${getAxisLabel(view.yAxisType)}`,
+    card.raga ? `Raga: ${card.raga.name}` : null,
+  ].filter(Boolean);
+  y = writeLines(doc, [details.join('   |   ')], PAGE_MARGIN, y + 2, 9, MUTED_COLOR);
+  if (card.notes.trim()) {
+    // Notes give way to the chart when the box is small
+    const maxLines = Math.max(1, Math.floor((height - (y - top) - MIN_CHART_HEIGHT) / (10 * 1.3)));
+    y = writeLines(doc, doc.splitTextToSize(card.notes.trim(), width).slice(0, maxLines), PAGE_MARGIN, y + 4, 10, TEXT_COLOR);
+  }
+
+  const scale = width / CHART_LAYOUT_WIDTH;
+  const chartHeight = top + height - y - 8;
+  const swaraSet = getSwaraSet(card.raga, view.tuning);
+  const chart = getCardChart(card, processCard(card).data, { yAxisType: view.yAxisType, swaraSet });
+  const layout = layoutCardChart(
+    chart,
+    card,
+    { ...view, swaraSet, raga: card.raga },
+    CHART_LAYOUT_WIDTH,
+    chartHeight / scale
+  );
+  if (!layout) {
+    writeLines(doc, ['No pitch data loaded or invalid range/tonic'], PAGE_MARGIN, y + 12, 11, MUTED_COLOR);
+    return;
+  }
+  drawLayout(doc, layout, PAGE_MARGIN, y + 8, scale);
+};
+
+// Builds the report and returns the jsPDF document. cards are the card states
+// with the shared file applied and their raga resolved as `raga`.
+export const createReport = ({ title, cardsPerPage, cards, yAxisType, tuning, sessionRaga, shadeOutOfRaga }) => {
+  const doc = new jsPDF({ unit: 'pt', format: 'a4' });
+  doc.setDocumentProperties({ title, creator: 'Pitch Graph Viewer' });
+  drawTitlePage(doc, { title, cards, yAxisType, tuning, sessionRaga });
+
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const boxHeight = (pageHeight - 2 * PAGE_MARGIN - FOOTER_HEIGHT) / cardsPerPage;
+  cards.forEach((card, i) => {
+    const slot = i % cardsPerPage;
+    if (slot === 0) doc.addPage();
+    drawCard(doc, card, i, PAGE_MARGIN + slot * boxHeight, boxHeight - 16, { yAxisType, tuning, shadeOutOfRaga });
+  });
+
+  const pages = doc.getNumberOfPages();
+  for (let page = 1; page <= pages; page++) {
+    doc.setPage(page);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(9);
+    doc.setTextColor(...MUTED_COLOR);
+    doc.text(`${title} - page ${page} of ${pages}`, doc.internal.pageSize.getWidth() / 2, pageHeight - PAGE_MARGIN / 2, {
+      align: 'center',
+      baseline: 'bottom',
+    });
+  }
+  return doc;
+};
@@ -0,0 +1,78 @@
+// Splitting a whole pitch file into phrase time windows, one per card: at
+// silences (unvoiced gaps of at least a minimum length) or into fixed-length
+// windows that overlap.
+import { splitAtGaps } from './pitchProcessing';
+
+export const PHRASE_SPLIT_MODES = [
+  { id: 'silences', label: 'At silences' },
+  { id: 'windows', label: 'Fixed windows' },
+];
+
+export const DEFAULT_PHRASE_SPLIT = {
+  mode: 'silences',
+  minSilenceMs: 300,
+  minPhraseMs: 500,
+  // Kept around each phrase so its first and last notes are not cut
+  paddingMs: 100,
+  windowSec: 10,
+  overlapSec: 2,
+};
+
+const splitAtSilences = (pitchData, { minSilenceMs, minPhraseMs, paddingMs }) => {
+  if (!(minSilenceMs > 0)) throw new Error('The minimum silence must be more than 0 ms.');
+  const voiced = pitchData.filter((p) => p.y > 0);
+  if (!voiced.length) return [];
+  const [first, last] = [pitchData[0].x, pitchData[pitchData.length - 1].x];
+  const padding = Math.max(0, paddingMs) / 1000;
+  const frame = pitchData.length > 1 ? (last - first) / (pitchData.length - 1) : 0;
+  // Phrases of a single frame are widened to the next frame so no card gets an
+  // empty window; one still empty (the file's last frame, unpadded) is dropped
+  return splitAtGaps(voiced, minSilenceMs)
+    .map((segment) => ({ start: segment[0].x, end: segment[segment.length - 1].x }))
+    .filter(({ start, end }) => (end - start) * 1000 >= minPhraseMs)
+    .map(({ start, end }) => ({
+      start: Math.max(first, start - padding),
+      end: Math.min(last, Math.max(end + padding, start + frame)),
+    }))
+    .filter(({ start, end }) => end > start);
+};
+
+const checkWindowSettings = ({ windowSec, overlapSec }) => {
+  if (!(windowSec > 0)) throw new Error('The window length must be more than 0 s.');
+  if (!(overlapSec >= 0 && overlapSec < windowSec)) {
+    throw new Error('The overlap must be at least 0 s and shorter than the window.');
+  }
+};
+
+const countWindows = (pitchData, settings) => {
+  checkWindowSettings(settings);
+  const { windowSec, overlapSec } = settings;
+  const [first, last] = [pitchData[0].x, pitchData[pitchData.length - 1].x];
+  return Math.max(1, Math.ceil((last - first - windowSec) / (windowSec - overlapSec)) + 1);
+};
+
+const splitIntoWindows = (pitchData, settings) => {
+  checkWindowSettings(settings);
+  const { windowSec, overlapSec } = settings;
+  const [first, last] = [pitchData[0].x, pitchData[pitchData.length - 1].x];
+  const windows = [];
+  for (let start = first; ; start += windowSec - overlapSec) {
+    windows.push({ start, end: Math.min(start + windowSec, last) });
+    if (start + windowSec >= last) break;
+  }
+  return windows;
+};
+
+// Number of phrases splitIntoPhrases makes, worked out without building
+// fixed windows, so very large splits can be confirmed first. Throws like it.
+export const countPhrases = (pitchData, settings) => {
+  if (!pitchData.length) return 0;
+  return settings.mode === 'windows' ? countWindows(pitchData, settings) : splitAtSilences(pitchData, settings).length;
+};
+
+// [{ start, end }] in seconds, in time order. Throws an Error for settings
+// that cannot split.
+export const splitIntoPhrases = (pitchData, settings) => {
+  if (!pitchData.length) return [];
+  return settings.mode === 'windows' ? splitIntoWindows(pitchData, settings) : splitAtSilences(pitchData, settings);
+};
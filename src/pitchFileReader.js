@@ -0,0 +1,68 @@
+// Reading pitch files without blocking the page: they are parsed in a Web
+// Worker (pitchFileWorker.js) with progress, or on the main thread where
+// workers are not available.
+import { parsePitchFile } from './pitchFormats';
+
+const toPoints = (times, values) => {
+  const data = new Array(times.length);
+  for (let i = 0; i < times.length; i++) data[i] = { x: times[i], y: values[i] };
+  return data;
+};
+
+// Returns { promise, cancel }. The promise resolves with { format, data } like
+// parsePitchFile, or rejects with an AbortError once cancel() is called.
+export const readPitchFile = (file, onProgress = () => {}) => {
+  let worker = null;
+  let reader = null;
+  let rejectPromise = () => {};
+
+  const promise = new Promise((resolve, reject) => {
+    rejectPromise = reject;
+    onProgress(0);
+    if (typeof Worker === 'undefined') {
+      reader = new FileReader();
+      reader.onload = (e) => {
+        // Thrown here it would not reach the promise, as the worker's errors do
+        let parsed;
+        try {
+          parsed = parsePitchFile(e.target.result, file.name);
+        } catch (error) {
+          reject(error);
+          return;
+        }
+        onProgress(1);
+        resolve(parsed);
+      };
+      reader.onerror = () => reject(new Error(reader.error ? reader.error.message : 'Could not read the file.'));
+      reader.readAsText(file);
+      return;
+    }
+    worker = new Worker(new URL('./pitchFileWorker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = (e) => {
+      if (e.data.type === 'progress') {
+        onProgress(e.data.progress);
+        return;
+      }
+      worker.terminate();
+      if (e.data.type === 'result') {
+        onProgress(1);
+        resolve({ format: e.data.format, data: toPoints(e.data.times, e.data.values) });
+      } else {
+        reject(new Error(e.data.message));
+      }
+    };
+    worker.onerror = (e) => {
+      worker.terminate();
+      reject(new Error(e.message || 'Could not parse the file.'));
+    };
+    worker.postMessage({ file });
+  });
+
+  const cancel = () => {
+    if (worker) worker.terminate();
+    if (reader) reader.abort();
+    rejectPromise(new DOMException('Reading the pitch file was cancelled', 'AbortError'));
+  };
+
+  return { promise, cancel };
+};
@@ -0,0 +1,94 @@
+// Web Worker parsing a pitch file off the main thread. The file is read in
+// chunks; line-based formats are parsed line by line as it arrives, others
+// once it has been read. Posts { type: 'progress', progress } while reading,
+// then { type: 'result', format, times, values } with the points as two
+// transferred Float64Arrays, or { type: 'error', message }.
+import { detectPitchFormat, parsePitchFile } from './pitchFormats';
+
+const CHUNK_SIZE = 1024 * 1024;
+// Text read before the format is detected from it
+const SNIFF_LENGTH = 64 * 1024;
+
+// The file's text in chunks of CHUNK_SIZE bytes, decoded as UTF-8 across
+// chunk boundaries
+async function* readText(file, onBytes) {
+  const decoder = new TextDecoder();
+  for (let offset = 0; offset < file.size; offset += CHUNK_SIZE) {
+    const bytes = await file.slice(offset, offset + CHUNK_SIZE).arrayBuffer();
+    onBytes(bytes.byteLength);
+    yield decoder.decode(bytes, { stream: true });
+  }
+  yield decoder.decode();
+}
+
+const parseFile = async (file) => {
+  let bytesRead = 0;
+  let lastProgress = 0;
+  const onBytes = (count) => {
+    bytesRead += count;
+    const progress = file.size ? bytesRead / file.size : 1;
+    if (progress - lastProgress >= 0.01) {
+      lastProgress = progress;
+      self.postMessage({ type: 'progress', progress });
+    }
+  };
+
+  let head = '';
+  let format = null;
+  let parseLine = null;
+  let pending = '';
+  const chunks = [];
+  const data = [];
+  const addText = (text) => {
+    if (!parseLine) {
+      chunks.push(text);
+      return;
+    }
+    const lines = (pending + text).split(/\r?\n/);
+    pending = lines.pop();
+    lines.forEach((line) => {
+      const point = parseLine(line);
+      if (point) data.push(point);
+    });
+  };
+
+  for await (const text of readText(file, onBytes)) {
+    if (format) {
+      addText(text);
+      continue;
+    }
+    head += text;
+    if (head.length < SNIFF_LENGTH) continue;
+    format = detectPitchFormat(head, file.name);
+    parseLine = format.createLineParser ? format.createLineParser(head) : null;
+    addText(head);
+  }
+  if (!format) {
+    format = detectPitchFormat(head, file.name);
+    parseLine = format.createLineParser ? format.createLineParser(head) : null;
+    addText(head);
+  }
+
+  if (!parseLine) return parsePitchFile(chunks.join(''), file.name);
+  addText('\n');
+  // Pitch trackers write frames in order; only sort files that are not
+  let sorted = true;
+  for (let i = 1; i < data.length && sorted; i++) sorted = data[i].x >= data[i - 1].x;
+  if (!sorted) data.sort((a, b) => a.x - b.x);
+  return { format: { id: format.id, label: format.label }, data };
+};
+
+self.onmessage = async (e) => {
+  try {
+    const { format, data } = await parseFile(e.data.file);
+    const times = new Float64Array(data.length);
+    const values = new Float64Array(data.length);
+    data.forEach((p, i) => {
+      times[i] = p.x;
+      values[i] = p.y;
+    });
+    self.postMessage({ type: 'result', format, times, values }, [times.buffer, values.buffer]);
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message || String(err) });
+  }
+};
@@ -0,0 +1,239 @@
+// Pitch file formats understood by the viewer. Each format can sniff a file
+// (by extension and/or content) and parse it into a sorted [{ x: time, y: Hz }]
+// array. Unvoiced frames are kept with y = 0 so the card filters them out.
+// Line-based formats also parse line by line, so large files can be parsed
+// as they are read (see pitchFileWorker.js).
+
+// Tracker CSVs report a frequency for every frame; frames below this
+// confidence / voicing probability are treated as unvoiced.
+const CONFIDENCE_THRESHOLD = 0.5;
+
+const getExtension = (fileName = '') => {
+  const match = fileName.match(/\.([^.]+)$/);
+  return match ? match[1].toLowerCase() : '';
+};
+
+const sortByTime = (data) => data.sort((a, b) => a.x - b.x);
+
+// Whole-text parse of a line-based format from its line parser
+const parseByLines = (createLineParser) => (text) => {
+  const parseLine = createLineParser(text);
+  const data = [];
+  for (const line of text.split(/\r?\n/)) {
+    const point = parseLine(line);
+    if (point) data.push(point);
+  }
+  return sortByTime(data);
+};
+
+// Plain whitespace/comma separated columns: <time> <Hz> [...]
+const parseColumnLine = (line) => {
+  if (!line.trim()) return null;
+  const tokens = line.trim().split(/[ ,\t]+/);
+  if (tokens.length < 2) return null;
+  const t = parseFloat(tokens[0]);
+  const p = parseFloat(tokens[1]);
+  if (isNaN(t) || isNaN(p)) return null;
+  return { x: t, y: p };
+};
+
+// Numeric tokens of a Praat short text file, skipping the quoted header lines
+const getPraatNumbers = (text) =>
+  text
+    .split(/\r?\n/)
+    .filter((line) => line.trim() && !line.includes('"') && !line.includes('<'))
+    .flatMap((line) => line.trim().split(/\s+/))
+    .map(Number)
+    .filter((n) => !isNaN(n));
+
+// objectClass is a regex fragment, e.g. 'PitchTier' or 'Pitch(?: 1)?'. Older
+// Praat versions mark the short text format as "ooTextFile short".
+const isPraatObject = (text, objectClass) =>
+  new RegExp(`^\\s*(File type = )?"ooTextFile(?: short)?"\\s*\\r?\\n\\s*(Object class = )?"${objectClass}"`).test(text);
+
+// Praat PitchTier, long or short text format
+const parsePitchTier = (text) => {
+  const data = [];
+  if (/number\s*=/.test(text)) {
+    const pointRe = /number\s*=\s*([-\d.eE+]+)\s*\r?\n\s*value\s*=\s*([-\d.eE+]+)/g;
+    let match;
+    while ((match = pointRe.exec(text))) {
+      data.push({ x: parseFloat(match[1]), y: parseFloat(match[2]) });
+    }
+  } else {
+    // xmin xmax size, then (time value) pairs
+    const numbers = getPraatNumbers(text);
+    const size = numbers[2] || 0;
+    for (let i = 0; i < size; i++) {
+      const t = numbers[3 + i * 2];
+      const p = numbers[4 + i * 2];
+      if (t === undefined || p === undefined) break;
+      data.push({ x: t, y: p });
+    }
+  }
+  return sortByTime(data);
+};
+
+// Praat Pitch object: the first candidate of each frame is the chosen path
+const parsePraatPitch = (text) => {
+  const data = [];
+  if (/nx\s*=/.test(text)) {
+    const dx = parseFloat((text.match(/\bdx\s*=\s*([-\d.eE+]+)/) || [])[1]);
+    const x1 = parseFloat((text.match(/\bx1\s*=\s*([-\d.eE+]+)/) || [])[1]);
+    if (isNaN(dx) || isNaN(x1)) return [];
+    const frameRe = /frame\s*\[(\d+)\]:[\s\S]*?candidate\s*\[1\]:\s*\r?\n\s*frequency\s*=\s*([-\d.eE+]+)/g;
+    let match;
+    while ((match = frameRe.exec(text))) {
+      const frame = parseInt(match[1], 10);
+      data.push({ x: x1 + (frame - 1) * dx, y: parseFloat(match[2]) });
+    }
+  } else {
+    // xmin xmax nx dx x1 ceiling maxnCandidates, then per frame:
+    // intensity nCandidates (frequency strength) * nCandidates
+    const numbers = getPraatNumbers(text);
+    const [, , nx, dx, x1] = numbers;
+    let pos = 7;
+    for (let frame = 0; frame < nx && pos < numbers.length; frame++) {
+      const nCandidates = numbers[pos + 1];
+      const frequency = numbers[pos + 2];
+      if (nCandidates === undefined || frequency === undefined) break;
+      data.push({ x: x1 + frame * dx, y: frequency });
+      pos += 2 + nCandidates * 2;
+    }
+  }
+  return sortByTime(data);
+};
+
+// Sonic Visualiser layer file (.svl): <point frame=".." value=".."/> in sample frames
+const parseSonicVisualiser = (text) => {
+  const sampleRate = parseFloat((text.match(/<model[^>]*\bsampleRate="([\d.]+)"/) || [])[1]);
+  if (!sampleRate) return [];
+  const data = [];
+  const pointRe = /<point\b[^>]*>/g;
+  let match;
+  while ((match = pointRe.exec(text))) {
+    const frame = parseFloat((match[0].match(/\bframe="([-\d.eE+]+)"/) || [])[1]);
+    const value = parseFloat((match[0].match(/\bvalue="([-\d.eE+]+)"/) || [])[1]);
+    if (isNaN(frame) || isNaN(value)) continue;
+    data.push({ x: frame / sampleRate, y: value });
+  }
+  return sortByTime(data);
+};
+
+const TIME_COLUMNS = ['time', 'times', 'timestamp', 't', 'sec', 'seconds', 'time_s', 'time(s)'];
+const PITCH_COLUMNS = ['frequency', 'freq', 'f0', 'pitch', 'hz', 'value', 'f0_hz', 'pitch_hz', 'frequency_hz'];
+const CONFIDENCE_COLUMNS = ['confidence', 'voiced_prob', 'voiced_probability', 'voicing', 'probability', 'periodicity'];
+const VOICED_FLAG_COLUMNS = ['voiced', 'voiced_flag', 'is_voiced'];
+
+const splitCsvLine = (line) =>
+  line.trim().split(/\s*[,;\t]\s*|\s+/).map((token) => token.replace(/^"|"$/g, ''));
+
+const getHeaderColumns = (text) => {
+  const firstLine = text.split(/\r?\n/).find((line) => line.trim());
+  if (!firstLine) return null;
+  const header = splitCsvLine(firstLine).map((name) => name.toLowerCase());
+  const find = (names) => header.findIndex((name) => names.includes(name));
+  const columns = {
+    time: find(TIME_COLUMNS),
+    pitch: find(PITCH_COLUMNS),
+    confidence: find(CONFIDENCE_COLUMNS),
+    voiced: find(VOICED_FLAG_COLUMNS),
+  };
+  return columns.time >= 0 && columns.pitch >= 0 ? columns : null;
+};
+
+// CSV with a header row, as written by pYIN (librosa), CREPE or Tonic. The
+// columns are found from the start of the file; its first line is skipped.
+const createTrackerCsvParser = (head) => {
+  const columns = getHeaderColumns(head);
+  let header = true;
+  return (line) => {
+    if (!columns || !line.trim()) return null;
+    if (header) {
+      header = false;
+      return null;
+    }
+    const tokens = splitCsvLine(line);
+    const t = parseFloat(tokens[columns.time]);
+    if (isNaN(t)) return null;
+    let p = parseFloat(tokens[columns.pitch]);
+    if (isNaN(p)) p = 0;
+    if (columns.confidence >= 0 && parseFloat(tokens[columns.confidence]) < CONFIDENCE_THRESHOLD) p = 0;
+    if (columns.voiced >= 0 && /^(false|0)$/i.test(tokens[columns.voiced] || '')) p = 0;
+    return { x: t, y: p };
+  };
+};
+
+// Checked in order; the first format whose sniff() matches parses the file.
+// The plain column format accepts anything and must stay last. Line-based
+// formats give createLineParser(head), which returns a function from one line
+// to a point or null, given the start of the file.
+const PITCH_FORMATS = [
+  {
+    id: 'praat-pitchtier',
+    label: 'Praat PitchTier',
+    extensions: ['pitchtier'],
+    sniff: (text) => isPraatObject(text, 'PitchTier'),
+    parse: parsePitchTier,
+  },
+  {
+    id: 'praat-pitch',
+    label: 'Praat Pitch',
+    extensions: ['pitch'],
+    sniff: (text) => isPraatObject(text, 'Pitch(?: 1)?'),
+    parse: parsePraatPitch,
+  },
+  {
+    id: 'sonic-visualiser',
+    label: 'Sonic Visualiser layer',
+    extensions: ['svl'],
+    sniff: (text) => /<!DOCTYPE sonic-visualiser>|<sv>/.test(text),
+    parse: parseSonicVisualiser,
+  },
+  {
+    id: 'tracker-csv',
+    label: 'Pitch tracker CSV (pYIN/CREPE/Tonic)',
+    extensions: ['csv', 'tsv', 'txt'],
+    sniff: (text) => getHeaderColumns(text) !== null,
+    parse: parseByLines(createTrackerCsvParser),
+    createLineParser: createTrackerCsvParser,
+  },
+  {
+    id: 'columns',
+    label: 'Time/Hz columns',
+    extensions: ['txt', 'csv', 'tsv'],
+    sniff: () => true,
+    parse: parseByLines(() => parseColumnLine),
+    createLineParser: () => parseColumnLine,
+  },
+];
+
+// Adds a format ahead of the built-in catch-all column parser
+export const registerPitchFormat = (format) => {
+  PITCH_FORMATS.splice(PITCH_FORMATS.length - 1, 0, format);
+};
+
+export const getPitchFileAccept = () =>
+  [...new Set(PITCH_FORMATS.flatMap((f) => f.extensions))].map((ext) => `.${ext}`).join(',');
+
+export const isSupportedPitchFile = (fileName) =>
+  PITCH_FORMATS.some((f) => f.extensions.includes(getExtension(fileName)));
+
+export const detectPitchFormat = (text, fileName) => {
+  const ext = getExtension(fileName);
+  // Content wins over extension, but an extension-specific format is tried first
+  const byExtension = PITCH_FORMATS.filter((f) => f.extensions.length === 1 && f.extensions[0] === ext);
+  return (
+    byExtension.find((f) => f.sniff(text)) ||
+    PITCH_FORMATS.find((f) => f.sniff(text))
+  );
+};
+
+// Returns { format: { id, label }, data: [{ x, y }] }
+export const parsePitchFile = (text, fileName) => {
+  const format = detectPitchFormat(text, fileName);
+  return {
+    format: { id: format.id, label: format.label },
+    data: format.parse(text),
+  };
+};
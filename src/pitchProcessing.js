@@ -0,0 +1,158 @@
+// Preprocessing of raw tracker output before plotting. Works on sorted
+// [{ x: time, y: Hz }] arrays where y <= 0 marks an unvoiced frame, and
+// returns a new array of the same length plus counts of what changed.
+
+export const DEFAULT_PROCESSING = {
+  enabled: false,
+  octaveCorrection: true,
+  medianWindow: 5,
+  minSegmentMs: 50,
+  maxGapMs: 40,
+  showRaw: true,
+};
+
+export const MEDIAN_WINDOWS = [1, 3, 5, 7, 9, 11];
+
+// A jump is treated as an octave error when it lands this close to ±1200 cents
+const OCTAVE_TOLERANCE_CENTS = 300;
+const MAX_OCTAVE_ERROR_SEC = 0.15;
+// Frames further apart than this many hops start a new voiced segment
+const SEGMENT_GAP_HOPS = 2.5;
+
+const medianOf = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// Typical frame spacing of the data
+export const getHopSize = (data) => {
+  const diffs = [];
+  for (let i = 1; i < data.length && diffs.length < 2000; i++) {
+    const dx = data[i].x - data[i - 1].x;
+    if (dx > 0) diffs.push(dx);
+  }
+  return diffs.length ? medianOf(diffs) : 0;
+};
+
+// [startIndex, endIndex] (inclusive) runs of voiced frames without time gaps
+export const getVoicedRuns = (data, maxGap) => {
+  const runs = [];
+  let runStart = -1;
+  data.forEach((p, i) => {
+    const voiced = p.y > 0;
+    const contiguous = i > 0 && data[i - 1].y > 0 && p.x - data[i - 1].x <= maxGap;
+    if (voiced && runStart >= 0 && !contiguous) {
+      runs.push([runStart, i - 1]);
+      runStart = i;
+    } else if (voiced && runStart < 0) {
+      runStart = i;
+    } else if (!voiced && runStart >= 0) {
+      runs.push([runStart, i - 1]);
+      runStart = -1;
+    }
+  });
+  if (runStart >= 0) runs.push([runStart, data.length - 1]);
+  return runs;
+};
+
+// Folds short excursions that jump by about an octave and come back. A leap
+// that holds longer than MAX_OCTAVE_ERROR_SEC is taken as sung and kept.
+const correctOctaveJumps = (data, values, runs) => {
+  let corrected = 0;
+  const octavesBetween = (a, b) => {
+    const cents = 1200 * Math.log2(b / a);
+    const octaves = Math.round(cents / 1200);
+    return Math.abs(cents - octaves * 1200) < OCTAVE_TOLERANCE_CENTS ? octaves : null;
+  };
+  runs.forEach(([start, end]) => {
+    for (let i = start + 1; i <= end; i++) {
+      const octaves = octavesBetween(values[i - 1], values[i]);
+      if (!octaves) continue;
+      let j = i;
+      while (j <= end && data[j].x - data[i].x <= MAX_OCTAVE_ERROR_SEC && octavesBetween(values[i - 1], values[j]) !== 0) {
+        j++;
+      }
+      const returned = j <= end && octavesBetween(values[i - 1], values[j]) === 0;
+      if (!returned && j <= end) continue;
+      for (let k = i; k < j; k++) {
+        const offset = octavesBetween(values[i - 1], values[k]);
+        if (offset) values[k] /= Math.pow(2, offset);
+        corrected++;
+      }
+      i = j;
+    }
+  });
+  return corrected;
+};
+
+const medianFilter = (values, runs, window) => {
+  if (window <= 1) return;
+  const half = Math.floor(window / 2);
+  runs.forEach(([start, end]) => {
+    const source = values.slice(start, end + 1);
+    for (let i = 0; i < source.length; i++) {
+      values[start + i] = medianOf(source.slice(Math.max(0, i - half), Math.min(source.length, i + half + 1)));
+    }
+  });
+};
+
+// Returns { data, stats: { octaveCorrected, removed, interpolated } }
+export const processPitchData = (data, settings = DEFAULT_PROCESSING) => {
+  const { octaveCorrection, medianWindow, minSegmentMs, maxGapMs } = { ...DEFAULT_PROCESSING, ...settings };
+  const stats = { octaveCorrected: 0, removed: 0, interpolated: 0 };
+  if (!data.length) return { data, stats };
+
+  const segmentGap = getHopSize(data) * SEGMENT_GAP_HOPS;
+  const values = data.map((p) => (p.y > 0 ? p.y : 0));
+  let runs = getVoicedRuns(data, segmentGap);
+
+  if (octaveCorrection) stats.octaveCorrected = correctOctaveJumps(data, values, runs);
+  medianFilter(values, runs, medianWindow);
+
+  // Drop voiced segments that are too short to be notes
+  runs = runs.filter(([start, end]) => {
+    if ((data[end].x - data[start].x) * 1000 >= minSegmentMs) return true;
+    for (let i = start; i <= end; i++) values[i] = 0;
+    stats.removed += end - start + 1;
+    return false;
+  });
+
+  // Fill unvoiced frames in short gaps between segments, linearly in log frequency
+  for (let r = 1; r < runs.length; r++) {
+    const left = runs[r - 1][1];
+    const right = runs[r][0];
+    if ((data[right].x - data[left].x) * 1000 > maxGapMs + 1e-6) continue;
+    const logLeft = Math.log2(values[left]);
+    const logRight = Math.log2(values[right]);
+    for (let i = left + 1; i < right; i++) {
+      const frac = (data[i].x - data[left].x) / (data[right].x - data[left].x);
+      values[i] = Math.pow(2, logLeft + (logRight - logLeft) * frac);
+      stats.interpolated++;
+    }
+  }
+
+  return { data: data.map((p, i) => ({ x: p.x, y: values[i] })), stats };
+};
+
+export const DEFAULT_LINE_BREAKS = { maxGapMs: 50, shadeSilences: false };
+
+// Splits plotted points into voiced segments wherever consecutive points are
+// more than maxGapMs apart (unvoiced frames are already dropped). 0 never splits.
+export const splitAtGaps = (points, maxGapMs) => {
+  if (!points.length) return [];
+  if (!(maxGapMs > 0)) return [points];
+  const segments = [[points[0]]];
+  for (let i = 1; i < points.length; i++) {
+    if ((points[i].x - points[i - 1].x) * 1000 > maxGapMs) segments.push([]);
+    segments[segments.length - 1].push(points[i]);
+  }
+  return segments;
+};
+
+// { start, end } time spans between voiced segments
+export const getSilences = (segments) =>
+  segments.slice(1).map((segment, i) => ({
+    start: segments[i][segments[i].length - 1].x,
+    end: segment[0].x,
+  }));
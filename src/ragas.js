@@ -0,0 +1,189 @@
+// Raga catalog: Carnatic melakartas, Hindustani thaats and common janya ragas.
+// A raga is { id, name, system, type, swaras: [{ name, position }] } where
+// position is the semitone (0-11) above Sa. Custom swaras may also carry an
+// explicit cents value that overrides the tuning.
+
+// Carnatic names share positions: Ri2 = Ga1, Ri3 = Ga2, Da2 = Ni1, Da3 = Ni2
+const CARNATIC_POSITIONS = {
+  Sa: 0, Ri1: 1, Ri2: 2, Ri3: 3, Ga1: 2, Ga2: 3, Ga3: 4, Ma1: 5, Ma2: 6,
+  Pa: 7, Da1: 8, Da2: 9, Da3: 10, Ni1: 9, Ni2: 10, Ni3: 11,
+};
+
+// Hindustani names: (k) = komal, (t) = tivra
+const HINDUSTANI_POSITIONS = {
+  Sa: 0, 'Re(k)': 1, Re: 2, 'Ga(k)': 3, Ga: 4, Ma: 5, 'Ma(t)': 6,
+  Pa: 7, 'Dha(k)': 8, Dha: 9, 'Ni(k)': 10, Ni: 11,
+};
+
+const SYSTEM_POSITIONS = { carnatic: CARNATIC_POSITIONS, hindustani: HINDUSTANI_POSITIONS };
+
+const MELAKARTA_NAMES = [
+  'Kanakangi', 'Ratnangi', 'Ganamurti', 'Vanaspati', 'Manavati', 'Tanarupi',
+  'Senavati', 'Hanumatodi', 'Dhenuka', 'Natakapriya', 'Kokilapriya', 'Rupavati',
+  'Gayakapriya', 'Vakulabharanam', 'Mayamalavagowla', 'Chakravakam', 'Suryakantam', 'Hatakambari',
+  'Jhankaradhwani', 'Natabhairavi', 'Keeravani', 'Kharaharapriya', 'Gourimanohari', 'Varunapriya',
+  'Mararanjani', 'Charukesi', 'Sarasangi', 'Harikambhoji', 'Dheerasankarabharanam', 'Naganandini',
+  'Yagapriya', 'Ragavardhini', 'Gangeyabhushani', 'Vagadheeswari', 'Shulini', 'Chalanata',
+  'Salagam', 'Jalarnavam', 'Jhalavarali', 'Navaneetam', 'Pavani', 'Raghupriya',
+  'Gavambodhi', 'Bhavapriya', 'Shubhapantuvarali', 'Shadvidamargini', 'Suvarnangi', 'Divyamani',
+  'Dhavalambari', 'Namanarayani', 'Kamavardhini', 'Ramapriya', 'Gamanashrama', 'Vishwambari',
+  'Shamalangi', 'Shanmukhapriya', 'Simhendramadhyamam', 'Hemavati', 'Dharmavati', 'Neetimati',
+  'Kantamani', 'Rishabhapriya', 'Latangi', 'Vachaspati', 'Mechakalyani', 'Chitrambari',
+  'Sucharitra', 'Jyotiswarupini', 'Dhatuvardhani', 'Nasikabhushani', 'Kosalam', 'Rasikapriya',
+];
+
+// Melakarta n: Ma1 for 1-36, Ma2 for 37-72; the chakra (block of six) fixes
+// Ri/Ga and the position within the chakra fixes Da/Ni.
+const RI_GA = [['Ri1', 'Ga1'], ['Ri1', 'Ga2'], ['Ri1', 'Ga3'], ['Ri2', 'Ga2'], ['Ri2', 'Ga3'], ['Ri3', 'Ga3']];
+const DA_NI = [['Da1', 'Ni1'], ['Da1', 'Ni2'], ['Da1', 'Ni3'], ['Da2', 'Ni2'], ['Da2', 'Ni3'], ['Da3', 'Ni3']];
+
+const melakartaSwaras = (number) => {
+  const i = (number - 1) % 36;
+  const [ri, ga] = RI_GA[Math.floor(i / 6)];
+  const [da, ni] = DA_NI[i % 6];
+  return ['Sa', ri, ga, number > 36 ? 'Ma2' : 'Ma1', 'Pa', da, ni];
+};
+
+const THAATS = {
+  Bilawal: ['Sa', 'Re', 'Ga', 'Ma', 'Pa', 'Dha', 'Ni'],
+  Khamaj: ['Sa', 'Re', 'Ga', 'Ma', 'Pa', 'Dha', 'Ni(k)'],
+  Kafi: ['Sa', 'Re', 'Ga(k)', 'Ma', 'Pa', 'Dha', 'Ni(k)'],
+  Asavari: ['Sa', 'Re', 'Ga(k)', 'Ma', 'Pa', 'Dha(k)', 'Ni(k)'],
+  Bhairavi: ['Sa', 'Re(k)', 'Ga(k)', 'Ma', 'Pa', 'Dha(k)', 'Ni(k)'],
+  Bhairav: ['Sa', 'Re(k)', 'Ga', 'Ma', 'Pa', 'Dha(k)', 'Ni'],
+  Kalyan: ['Sa', 'Re', 'Ga', 'Ma(t)', 'Pa', 'Dha', 'Ni'],
+  Marwa: ['Sa', 'Re(k)', 'Ga', 'Ma(t)', 'Pa', 'Dha', 'Ni'],
+  Poorvi: ['Sa', 'Re(k)', 'Ga', 'Ma(t)', 'Pa', 'Dha(k)', 'Ni'],
+  Todi: ['Sa', 'Re(k)', 'Ga(k)', 'Ma(t)', 'Pa', 'Dha(k)', 'Ni'],
+};
+
+// Union of arohana and avarohana swaras
+const CARNATIC_JANYAS = {
+  Mohanam: ['Sa', 'Ri2', 'Ga3', 'Pa', 'Da2'],
+  Hamsadhwani: ['Sa', 'Ri2', 'Ga3', 'Pa', 'Ni3'],
+  Hindolam: ['Sa', 'Ga2', 'Ma1', 'Da1', 'Ni2'],
+  Abhogi: ['Sa', 'Ri2', 'Ga2', 'Ma1', 'Da2'],
+  Madhyamavati: ['Sa', 'Ri2', 'Ma1', 'Pa', 'Ni2'],
+  'Shuddha Saveri': ['Sa', 'Ri2', 'Ma1', 'Pa', 'Da2'],
+  Sriranjani: ['Sa', 'Ri2', 'Ga2', 'Ma1', 'Da2', 'Ni2'],
+  Revati: ['Sa', 'Ri1', 'Ma1', 'Pa', 'Ni2'],
+  Bilahari: ['Sa', 'Ri2', 'Ga3', 'Ma1', 'Pa', 'Da2', 'Ni3'],
+  Kambhoji: ['Sa', 'Ri2', 'Ga3', 'Ma1', 'Pa', 'Da2', 'Ni2', 'Ni3'],
+};
+
+const HINDUSTANI_RAGAS = {
+  Yaman: ['Sa', 'Re', 'Ga', 'Ma(t)', 'Pa', 'Dha', 'Ni'],
+  Bhupali: ['Sa', 'Re', 'Ga', 'Pa', 'Dha'],
+  Durga: ['Sa', 'Re', 'Ma', 'Pa', 'Dha'],
+  Malkauns: ['Sa', 'Ga(k)', 'Ma', 'Dha(k)', 'Ni(k)'],
+  Bageshri: ['Sa', 'Re', 'Ga(k)', 'Ma', 'Pa', 'Dha', 'Ni(k)'],
+  Bhimpalasi: ['Sa', 'Re', 'Ga(k)', 'Ma', 'Pa', 'Dha', 'Ni(k)'],
+  Desh: ['Sa', 'Re', 'Ga', 'Ma', 'Pa', 'Dha', 'Ni(k)', 'Ni'],
+  'Darbari Kanada': ['Sa', 'Re', 'Ga(k)', 'Ma', 'Pa', 'Dha(k)', 'Ni(k)'],
+  'Puriya Dhanashri': ['Sa', 'Re(k)', 'Ga', 'Ma(t)', 'Pa', 'Dha(k)', 'Ni'],
+  Lalit: ['Sa', 'Re(k)', 'Ga', 'Ma', 'Ma(t)', 'Dha(k)', 'Ni'],
+};
+
+const slugify = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+const makeRaga = (id, name, system, type, swaraNames) => ({
+  id,
+  name,
+  system,
+  type,
+  swaras: swaraNames.map((swara) => ({ name: swara, position: SYSTEM_POSITIONS[system][swara] })),
+});
+
+export const RAGA_GROUPS = [
+  { type: 'melakarta', label: 'Carnatic melakarta' },
+  { type: 'janya', label: 'Carnatic janya' },
+  { type: 'thaat', label: 'Hindustani thaat' },
+  { type: 'raga', label: 'Hindustani raga' },
+  { type: 'custom', label: 'Custom' },
+];
+
+export const RAGA_CATALOG = [
+  ...MELAKARTA_NAMES.map((name, i) =>
+    makeRaga(`mela-${i + 1}`, `${i + 1}. ${name}`, 'carnatic', 'melakarta', melakartaSwaras(i + 1))
+  ),
+  ...Object.entries(CARNATIC_JANYAS).map(([name, swaras]) =>
+    makeRaga(`janya-${slugify(name)}`, name, 'carnatic', 'janya', swaras)
+  ),
+  ...Object.entries(THAATS).map(([name, swaras]) =>
+    makeRaga(`thaat-${slugify(name)}`, `${name} thaat`, 'hindustani', 'thaat', swaras)
+  ),
+  ...Object.entries(HINDUSTANI_RAGAS).map(([name, swaras]) =>
+    makeRaga(`raga-${slugify(name)}`, name, 'hindustani', 'raga', swaras)
+  ),
+];
+
+export const findRaga = (id, customRagas = []) =>
+  (id && [...RAGA_CATALOG, ...customRagas].find((raga) => raga.id === id)) || null;
+
+// Swaras of a custom raga: catalog names for the system, or { name, position }
+// or { name, cents } objects (cents wins when both are given)
+const readCustomSwaras = (swaras, system, where) => {
+  if (!Array.isArray(swaras) || swaras.length === 0) {
+    throw new Error(`${where}: "swaras" must be a non-empty array.`);
+  }
+  return swaras.map((swara) => {
+    if (typeof swara === 'string') {
+      const position = SYSTEM_POSITIONS[system][swara];
+      if (position === undefined) throw new Error(`${where}: unknown ${system} swara "${swara}".`);
+      return { name: swara, position };
+    }
+    if (swara && typeof swara.name === 'string') {
+      if (typeof swara.cents === 'number' && swara.cents >= 0 && swara.cents < 1200) {
+        return { name: swara.name, position: Math.round(swara.cents / 100) % 12, cents: swara.cents };
+      }
+      if (Number.isInteger(swara.position) && swara.position >= 0 && swara.position < 12) {
+        return { name: swara.name, position: swara.position };
+      }
+    }
+    throw new Error(`${where}: each swara needs a name and a position (0-11) or cents (0-1199).`);
+  });
+};
+
+const readSystem = (system, where) => {
+  if (!SYSTEM_POSITIONS[system]) throw new Error(`${where}: "system" must be "carnatic" or "hindustani".`);
+  return system;
+};
+
+// Custom ragas JSON: one raga object or an array of them, e.g.
+// { "name": "My raga", "system": "carnatic", "swaras": ["Sa", "Ri2", "Ga3", "Pa", "Da2"] }
+// Swaras are catalog names for the system, or { "name", "position" } (semitones
+// above Sa) or { "name", "cents" } objects. Throws an Error describing the problem.
+export const parseCustomRagas = (text) => {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Invalid JSON: ${err.message}`);
+  }
+  const entries = Array.isArray(json) ? json : [json];
+  return entries.map((entry, i) => {
+    const where = `Raga ${i + 1}`;
+    if (!entry || typeof entry.name !== 'string' || !entry.name.trim()) {
+      throw new Error(`${where}: "name" is required.`);
+    }
+    const system = readSystem(entry.system || 'carnatic', where);
+    return {
+      id: `custom-${entry.id ? slugify(String(entry.id)) : slugify(entry.name)}`,
+      name: entry.name.trim(),
+      system,
+      type: 'custom',
+      swaras: readCustomSwaras(entry.swaras, system, where),
+    };
+  });
+};
+
+// A custom raga as parseCustomRagas returned it, read back from a saved
+// session; its id is kept so cards still find it. Throws an Error describing
+// the problem.
+export const readSavedCustomRaga = (raga, where) => {
+  if (!raga || typeof raga.id !== 'string' || !raga.id || typeof raga.name !== 'string') {
+    throw new Error(`${where}: an "id" and a "name" are required.`);
+  }
+  const system = readSystem(raga.system, where);
+  return { id: raga.id, name: raga.name, system, type: 'custom', swaras: readCustomSwaras(raga.swaras, system, where) };
+};
@@ -0,0 +1,75 @@
+// Splits a contour into stable notes and the transitions (gamakas) between
+// them. Points are { x: time, y: cents above Sa }; a stable note is a run that
+// stays within toleranceCents of its centre for at least minDurationMs.
+import { splitAtGaps } from './pitchProcessing';
+import { getExtent } from './decimation';
+
+export const DEFAULT_SEGMENTATION = { enabled: false, toleranceCents: 30, minDurationMs: 100 };
+
+// Nearest swara over all octaves, with ' and , octave marks as on the axis
+export const nearestSwara = (cents, swaraSet) => {
+  let best = null;
+  swaraSet.forEach((swara) => {
+    const octave = Math.round((cents - swara.cents) / 1200);
+    const deviation = cents - (swara.cents + octave * 1200);
+    if (!best || Math.abs(deviation) < Math.abs(best.deviation)) best = { swara, octave, deviation };
+  });
+  if (!best) return null;
+  const { swara, octave, deviation } = best;
+  const marks = octave > 0 ? "'".repeat(octave) : ','.repeat(-octave);
+  return { name: swara.name + marks, cents: swara.cents + octave * 1200, deviation };
+};
+
+const summarize = (type, points, swaraSet) => {
+  const values = points.map((p) => p.y);
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  const nearest = type === 'stable' ? nearestSwara(mean, swaraSet) : null;
+  const [min, max] = getExtent(values);
+  return {
+    type,
+    start: points[0].x,
+    end: points[points.length - 1].x,
+    meanCents: mean,
+    rangeCents: max - min,
+    swara: nearest ? nearest.name : null,
+    target: nearest ? nearest.cents : null,
+    deviation: nearest ? nearest.deviation : null,
+  };
+};
+
+// [{ type: 'stable' | 'transition', start, end, meanCents, rangeCents, swara, target, deviation }]
+// in time order; voiced segments are split at gaps longer than maxGapMs first
+export const segmentNotes = (points, { toleranceCents, minDurationMs }, swaraSet, maxGapMs) => {
+  const octave = swaraSet.filter((s) => s.cents < 1200);
+  const segments = [];
+  splitAtGaps(points, maxGapMs).forEach((voiced) => {
+    let transitionStart = 0;
+    let i = 0;
+    while (i < voiced.length) {
+      // Longest run from i whose spread stays within the tolerance band
+      let min = voiced[i].y;
+      let max = voiced[i].y;
+      let j = i + 1;
+      while (j < voiced.length) {
+        const lo = Math.min(min, voiced[j].y);
+        const hi = Math.max(max, voiced[j].y);
+        if (hi - lo > 2 * toleranceCents) break;
+        min = lo;
+        max = hi;
+        j++;
+      }
+      if ((voiced[j - 1].x - voiced[i].x) * 1000 >= minDurationMs) {
+        if (i > transitionStart) segments.push(summarize('transition', voiced.slice(transitionStart, i + 1), octave));
+        segments.push(summarize('stable', voiced.slice(i, j), octave));
+        transitionStart = j - 1;
+        i = j;
+      } else {
+        i++;
+      }
+    }
+    if (transitionStart < voiced.length - 1) {
+      segments.push(summarize('transition', voiced.slice(transitionStart), octave));
+    }
+  });
+  return segments;
+};
@@ -0,0 +1,301 @@
+// Project files: the whole multi-card session as versioned JSON. Pitch data is
+// stored as [time, Hz] pairs; audio files cannot be stored, only their names.
+import { DEFAULT_PROCESSING, DEFAULT_LINE_BREAKS, MEDIAN_WINDOWS } from './pitchProcessing';
+import { DEFAULT_HISTOGRAM, HISTOGRAM_BIN_WIDTHS } from './histogram';
+import { DEFAULT_SEGMENTATION } from './segmentation';
+import { DEFAULT_INTONATION } from './intonation';
+import { Y_AXIS_TYPES } from './yAxis';
+import { DEFAULT_TUNING, formatTuningTable } from './tunings';
+import { readSavedCustomRaga } from './ragas';
+
+export const SESSION_FORMAT = 'pitch-graph-session';
+export const SESSION_VERSION = 1;
+export const SESSION_FILE_ACCEPT = '.json';
+
+// Upgrades a session of version n to n + 1. Add an entry here whenever the
+// saved shape changes, and bump SESSION_VERSION.
+const MIGRATIONS = {};
+
+// Per-card text fields, and settings objects with their defaults
+const CARD_FIELDS = ['startTime', 'endTime', 'tonic', 'fileName', 'fileFormat', 'audioName', 'ragaId', 'notes'];
+const CARD_SETTINGS = {
+  processing: DEFAULT_PROCESSING,
+  lineBreaks: DEFAULT_LINE_BREAKS,
+  histogram: DEFAULT_HISTOGRAM,
+  segmentation: DEFAULT_SEGMENTATION,
+  intonation: DEFAULT_INTONATION,
+};
+// Card fields typed as numbers, and whether 0 is allowed
+const NUMERIC_CARD_FIELDS = { startTime: true, endTime: true, tonic: false };
+// Settings picked from a list; other numeric settings must be 0 or more
+const SETTING_CHOICES = { medianWindow: MEDIAN_WINDOWS, binWidth: HISTOGRAM_BIN_WIDTHS };
+
+// Card count limit, except when all cards use the same file (phrase
+// splitting), where counts above LARGE_CARD_COUNT are confirmed first as each
+// card costs memory
+export const MAX_CARDS = 20;
+export const LARGE_CARD_COUNT = 200;
+
+export const createCard = () => ({
+  pitchData: [],
+  startTime: '',
+  endTime: '',
+  tonic: '',
+  fileName: '',
+  fileFormat: '',
+  audioFile: null,
+  audioName: '',
+  ragaId: '',
+  notes: '',
+  annotations: [],
+  ...CARD_SETTINGS,
+});
+
+const check = (condition, message) => {
+  if (!condition) throw new Error(message);
+};
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+// Packed per data array: autosave repacks unchanged (and possibly hour-long)
+// contours after every edit
+const packedPitch = new WeakMap();
+const packPitch = (data) => {
+  if (!packedPitch.has(data)) packedPitch.set(data, data.map((p) => [round(p.x, 6), round(p.y, 3)]));
+  return packedPitch.get(data);
+};
+
+const unpackPitch = (pairs, path) => {
+  check(Array.isArray(pairs), `${path} must be an array of [time, Hz] pairs`);
+  return pairs.map((pair, i) => {
+    check(
+      Array.isArray(pair) && pair.length === 2 && pair.every((v) => typeof v === 'number' && isFinite(v)),
+      `${path}[${i}] must be a [time, Hz] pair`
+    );
+    return { x: pair[0], y: pair[1] };
+  });
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const readString = (obj, key, path, fallback = '') => {
+  if (obj[key] === undefined) return fallback;
+  check(typeof obj[key] === 'string', `${path}.${key} must be a string`);
+  return obj[key];
+};
+
+const readBoolean = (obj, key, path, fallback = false) => {
+  if (obj[key] === undefined) return fallback;
+  check(typeof obj[key] === 'boolean', `${path}.${key} must be true or false`);
+  return obj[key];
+};
+
+// '' or a number as typed into a card input
+const readNumberString = (obj, key, path, allowZero) => {
+  const value = readString(obj, key, path);
+  const number = Number(value);
+  check(
+    value === '' || (value.trim() !== '' && isFinite(number) && (allowZero ? number >= 0 : number > 0)),
+    `${path}.${key} must be empty or a number ${allowZero ? 'of 0 or more' : 'above 0'}`
+  );
+  return value;
+};
+
+// Settings objects keep the default's keys and types; unknown keys are dropped
+const readSettings = (value, defaults, path) => {
+  if (value === undefined) return defaults;
+  check(isObject(value), `${path} must be an object`);
+  const settings = { ...defaults };
+  Object.keys(defaults).forEach((key) => {
+    if (value[key] === undefined) return;
+    check(typeof value[key] === typeof defaults[key], `${path}.${key} must be a ${typeof defaults[key]}`);
+    if (SETTING_CHOICES[key]) {
+      check(SETTING_CHOICES[key].includes(value[key]), `${path}.${key} must be one of ${SETTING_CHOICES[key].join(', ')}`);
+    } else if (typeof defaults[key] === 'number') {
+      check(isFinite(value[key]) && value[key] >= 0, `${path}.${key} must be a number of 0 or more`);
+    }
+    settings[key] = value[key];
+  });
+  return settings;
+};
+
+export const serializeSession = ({
+  useSameFile,
+  graphsData,
+  graphType,
+  yAxisType,
+  sharedFileData,
+  sessionRagaId,
+  customRagas,
+  shadeOutOfRaga,
+  tuningId,
+  customTuningText,
+  comparison,
+  alignment,
+}) => ({
+  format: SESSION_FORMAT,
+  version: SESSION_VERSION,
+  savedAt: new Date().toISOString(),
+  settings: {
+    useSameFile,
+    graphType,
+    yAxisType,
+    sessionRagaId,
+    shadeOutOfRaga,
+    tuningId,
+    customTuningText,
+  },
+  customRagas,
+  sharedFile: useSameFile
+    ? { fileName: sharedFileData.fileName, fileFormat: sharedFileData.fileFormat, pitch: packPitch(sharedFileData.pitchData) }
+    : null,
+  cards: graphsData.map((card) => ({
+    ...Object.fromEntries([...CARD_FIELDS, ...Object.keys(CARD_SETTINGS), 'annotations'].map((key) => [key, card[key]])),
+    // Cards on the shared file get it back from sharedFile
+    pitch: useSameFile ? null : packPitch(card.pitchData),
+  })),
+  comparison,
+  alignment,
+});
+
+const readAnnotations = (annotations, path) => {
+  check(Array.isArray(annotations), `${path} must be an array`);
+  return annotations.map((a, i) => {
+    check(
+      isObject(a) && typeof a.start === 'number' && typeof a.end === 'number' && typeof a.label === 'string' && a.end >= a.start,
+      `${path}[${i}] must have a start, an end no earlier than it and a label`
+    );
+    return { start: a.start, end: a.end, label: a.label };
+  });
+};
+
+const readCard = (card, index) => {
+  const path = `cards[${index}]`;
+  check(isObject(card), `${path} must be an object`);
+  const restored = createCard();
+  CARD_FIELDS.forEach((key) => {
+    restored[key] = key in NUMERIC_CARD_FIELDS
+      ? readNumberString(card, key, path, NUMERIC_CARD_FIELDS[key])
+      : readString(card, key, path);
+  });
+  Object.entries(CARD_SETTINGS).forEach(([key, defaults]) => {
+    restored[key] = readSettings(card[key], defaults, `${path}.${key}`);
+  });
+  if (card.annotations !== undefined) restored.annotations = readAnnotations(card.annotations, `${path}.annotations`);
+  if (card.pitch !== null && card.pitch !== undefined) restored.pitchData = unpackPitch(card.pitch, `${path}.pitch`);
+  return restored;
+};
+
+const readComparison = (comparison, numCards) => {
+  if (!comparison) return null;
+  check(isObject(comparison) && Array.isArray(comparison.sources), 'comparison.sources must be an array');
+  return {
+    referenceTonic: readString(comparison, 'referenceTonic', 'comparison'),
+    sources: comparison.sources
+      .filter((s) => isObject(s) && Number.isInteger(s.cardIndex) && s.cardIndex >= 0 && s.cardIndex < numCards)
+      .map((s) => ({
+        cardIndex: s.cardIndex,
+        color: typeof s.color === 'string' ? s.color : '#4f46e5',
+        offset: typeof s.offset === 'number' ? s.offset : 0,
+        normalizeTonic: s.normalizeTonic !== false,
+      })),
+  };
+};
+
+const readAlignment = (alignment, numCards) => {
+  if (!alignment) return null;
+  const valid = (i) => Number.isInteger(i) && i >= 0 && i < numCards;
+  return isObject(alignment) && valid(alignment.referenceIndex) && valid(alignment.queryIndex)
+    ? { referenceIndex: alignment.referenceIndex, queryIndex: alignment.queryIndex }
+    : null;
+};
+
+// Validates a saved session object, migrating older versions, and returns the
+// app state. Throws an Error naming the first problem found.
+export const readSession = (saved) => {
+  let session = saved;
+  check(isObject(session) && session.format === SESSION_FORMAT, 'This is not a pitch graph session file.');
+  check(Number.isInteger(session.version) && session.version >= 1, 'The session file has no valid version.');
+  check(
+    session.version <= SESSION_VERSION,
+    `The session was saved by a newer version (${session.version}) of the viewer; this one reads up to ${SESSION_VERSION}.`
+  );
+  while (session.version < SESSION_VERSION) {
+    session = MIGRATIONS[session.version](session);
+  }
+
+  const settings = isObject(session.settings) ? session.settings : {};
+  check(Array.isArray(session.cards), 'cards must be an array');
+  const cards = session.cards.map(readCard);
+  const useSameFile = readBoolean(settings, 'useSameFile', 'settings');
+  let sharedFileData = { pitchData: [], fileName: '', fileFormat: '' };
+  if (isObject(session.sharedFile)) {
+    sharedFileData = {
+      pitchData: unpackPitch(session.sharedFile.pitch, 'sharedFile.pitch'),
+      fileName: readString(session.sharedFile, 'fileName', 'sharedFile'),
+      fileFormat: readString(session.sharedFile, 'fileFormat', 'sharedFile'),
+    };
+  }
+  if (useSameFile) {
+    cards.forEach((card) => {
+      card.pitchData = sharedFileData.pitchData;
+      card.fileName = sharedFileData.fileName;
+      card.fileFormat = sharedFileData.fileFormat;
+    });
+  }
+
+  const graphType = readString(settings, 'graphType', 'settings', 'victory');
+  const yAxisType = readString(settings, 'yAxisType', 'settings', 'swaras');
+  check(['victory', 'canvas'].includes(graphType), `Unknown graph type "${graphType}"`);
+  check(Y_AXIS_TYPES.some((t) => t.id === yAxisType), `Unknown Y axis "${yAxisType}"`);
+  const savedRagas = session.customRagas || [];
+  check(Array.isArray(savedRagas), 'customRagas must be an array');
+  // The same swara checks as imported raga files
+  const customRagas = savedRagas.map((raga, i) => readSavedCustomRaga(raga, `customRagas[${i}]`));
+
+  return {
+    numCards: cards.length ? String(cards.length) : '',
+    useSameFile,
+    graphsData: cards,
+    graphType,
+    yAxisType,
+    sharedFileData,
+    sessionRagaId: readString(settings, 'sessionRagaId', 'settings'),
+    customRagas,
+    shadeOutOfRaga: readBoolean(settings, 'shadeOutOfRaga', 'settings'),
+    tuningId: readString(settings, 'tuningId', 'settings', DEFAULT_TUNING.id),
+    customTuningText: readString(settings, 'customTuningText', 'settings', formatTuningTable(DEFAULT_TUNING.positions)),
+    comparison: readComparison(session.comparison, cards.length),
+    alignment: readAlignment(session.alignment, cards.length),
+  };
+};
+
+export const parseSession = (text) => {
+  let saved;
+  try {
+    saved = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON.');
+  }
+  return readSession(saved);
+};
+
+// Names of the pitch files a saved session uses
+export const getSessionFileNames = (saved) => {
+  const names = saved.sharedFile ? [saved.sharedFile.fileName] : saved.cards.map((card) => card.fileName);
+  return [...new Set(names.filter(Boolean))];
+};
+
+// Key of a pitch file in the autosave store, where each file is stored once
+// by name and frame count and autosaved sessions refer to it by this key
+export const getPitchFileKey = (fileName, pitch) => `${fileName}|${pitch.length}`;
+
+// { pitchData, fileName, fileFormat } of a stored { fileName, fileFormat, pitch }
+// record, or null when it cannot be read
+export const unpackPitchFile = ({ fileName, fileFormat, pitch }) => {
+  try {
+    return { pitchData: unpackPitch(pitch, 'pitch'), fileName, fileFormat: fileFormat || '' };
+  } catch {
+    return null;
+  }
+};
@@ -0,0 +1,185 @@
+// Autosaved sessions in IndexedDB. Each record holds a serialized session
+// (see session.js) under the id of the workspace that wrote it. Pitch data is
+// kept apart in a files store, once per file (see getPitchFileKey), and the
+// stored sessions refer to it by key, so autosaving after an edit does not
+// copy every contour again.
+import { getPitchFileKey, getSessionFileNames, unpackPitchFile } from './session';
+
+const DB_NAME = 'pitch-graph-viewer';
+const DB_VERSION = 2;
+const STORE = 'sessions';
+const FILES_STORE = 'files';
+export const MAX_RECENT_SESSIONS = 10;
+export const AUTOSAVE_DELAY_MS = 1000;
+
+export const createWorkspaceId = () => `workspace-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Keys of the packed pitch arrays (see session.js) this page has stored
+const storedPitch = new WeakMap();
+
+// The session's pitch files (shared file and cards) as files store records,
+// and the session with a pitchKey in place of each one's pitch
+const splitPitchFiles = (session) => {
+  const files = [];
+  const withKey = (source) => {
+    if (!source || !Array.isArray(source.pitch)) return source;
+    const { pitch, ...rest } = source;
+    const key = getPitchFileKey(source.fileName, pitch);
+    files.push({ key, fileName: source.fileName, fileFormat: source.fileFormat || '', pitch, updatedAt: Date.now() });
+    return { ...rest, pitchKey: key };
+  };
+  return {
+    session: { ...session, sharedFile: withKey(session.sharedFile), cards: session.cards.map(withKey) },
+    files,
+  };
+};
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available in this browser.'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        if (event.oldVersion < 1) db.createObjectStore(STORE, { keyPath: 'id' }).createIndex('updatedAt', 'updatedAt');
+        if (event.oldVersion < 2) {
+          const files = db.createObjectStore(FILES_STORE, { keyPath: 'key' });
+          files.createIndex('fileName', 'fileName');
+          // Version 1 records held their pitch data inline
+          request.transaction.objectStore(STORE).openCursor().onsuccess = (e) => {
+            const cursor = e.target.result;
+            if (!cursor) return;
+            const split = splitPitchFiles(cursor.value.session);
+            split.files.forEach((file) => files.put(file));
+            cursor.update({ ...cursor.value, session: split.session });
+            cursor.continue();
+          };
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+};
+
+// Runs fn(stores) in a transaction over the named stores and resolves with
+// the result of the request fn returns
+const withStores = async (names, mode, fn) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(names, mode);
+    const request = fn(Object.fromEntries(names.map((name) => [name, tx.objectStore(name)])));
+    tx.oncomplete = () => resolve(request ? request.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+const withStore = (mode, fn) => withStores([STORE], mode, (stores) => fn(stores[STORE]));
+
+// [{ id, updatedAt, fileNames, cardCount }], newest first
+export const listSessions = async () => {
+  const records = await withStore('readonly', (store) => store.getAll());
+  return records
+    .map(({ id, updatedAt, fileNames, cardCount }) => ({ id, updatedAt, fileNames, cardCount }))
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+};
+
+// The stored session with its pitch data put back; files that are gone load
+// as empty contours
+export const loadSession = async (id) => {
+  let record;
+  const files = {};
+  await withStores([STORE, FILES_STORE], 'readonly', (stores) => {
+    const request = stores[STORE].get(id);
+    request.onsuccess = () => {
+      record = request.result;
+      if (!record) return;
+      const { sharedFile, cards } = record.session;
+      [sharedFile, ...cards].forEach((source) => {
+        if (!source || !source.pitchKey) return;
+        stores[FILES_STORE].get(source.pitchKey).onsuccess = (e) => {
+          files[source.pitchKey] = e.target.result;
+        };
+      });
+    };
+  });
+  if (!record) throw new Error('The saved session no longer exists.');
+  const withPitch = (source) => {
+    if (!source || !source.pitchKey) return source;
+    const { pitchKey, ...rest } = source;
+    return { ...rest, pitch: files[pitchKey] ? files[pitchKey].pitch : [] };
+  };
+  const { session } = record;
+  return { ...session, sharedFile: withPitch(session.sharedFile), cards: session.cards.map(withPitch) };
+};
+
+// Pitch data of the most recently stored file with this name
+export const findCachedPitchFile = async (fileName) => {
+  const files = await withStores([FILES_STORE], 'readonly', (stores) =>
+    stores[FILES_STORE].index('fileName').getAll(fileName)
+  );
+  if (!files.length) return null;
+  return unpackPitchFile(files.reduce((newest, file) => (file.updatedAt > newest.updatedAt ? file : newest)));
+};
+
+// Drops files no stored session refers to any more
+const deleteUnusedFiles = () =>
+  withStores([STORE, FILES_STORE], 'readwrite', (stores) => {
+    const request = stores[STORE].getAll();
+    request.onsuccess = () => {
+      const used = new Set(
+        request.result.flatMap(({ session }) => [session.sharedFile, ...session.cards].map((source) => source && source.pitchKey))
+      );
+      stores[FILES_STORE].getAllKeys().onsuccess = (e) => {
+        e.target.result.filter((key) => !used.has(key)).forEach((key) => stores[FILES_STORE].delete(key));
+      };
+    };
+  });
+
+export const deleteSession = async (id) => {
+  await withStore('readwrite', (store) => store.delete(id));
+  await deleteUnusedFiles();
+};
+
+// Stores the session under id, writing only pitch files that are not stored
+// yet (or were dropped since, e.g. by another tab), and drops all but the
+// newest MAX_RECENT_SESSIONS
+export const saveSession = async (id, session) => {
+  const split = splitPitchFiles(session);
+  const added = split.files.filter((file) => storedPitch.get(file.pitch) !== file.key);
+  await withStores([STORE, FILES_STORE], 'readwrite', (stores) => {
+    added.forEach((file) => stores[FILES_STORE].put(file));
+    split.files
+      .filter((file) => !added.includes(file))
+      .forEach((file) => {
+        stores[FILES_STORE].count(file.key).onsuccess = (e) => {
+          if (!e.target.result) stores[FILES_STORE].put(file);
+        };
+      });
+    stores[STORE].put({
+      id,
+      updatedAt: Date.now(),
+      fileNames: getSessionFileNames(session),
+      cardCount: session.cards.length,
+      session: split.session,
+    });
+  });
+  added.forEach((file) => storedPitch.set(file.pitch, file.key));
+  const stale = (await listSessions()).slice(MAX_RECENT_SESSIONS);
+  if (stale.length) {
+    await withStore('readwrite', (store) => {
+      stale.forEach((record) => store.delete(record.id));
+    });
+    await deleteUnusedFiles();
+  }
+};
@@ -0,0 +1,86 @@
+// Standalone SVG of a card's chart, written from its layout (see cardChart.js)
+// so both graph types export the same vector drawing.
+import { parseColor } from './cardChart';
+
+export const DEFAULT_SVG_EXPORT = { width: 1000, height: 450, embedFont: false };
+export const SVG_SIZE_LIMITS = { min: 200, max: 4000 };
+
+// The app's web font, as loaded in the page
+const FONT_CSS_URL = 'https://fonts.googleapis.com/css2?family=Poppins:wght@400;600&display=swap';
+const FONT_FAMILY = "Poppins, 'Helvetica Neue', Arial, sans-serif";
+
+// Text baselines as offsets, since dominant-baseline is not supported everywhere
+const BASELINE_DY = { top: '0.8em', middle: '0.35em', bottom: '-0.2em' };
+const TEXT_ANCHORS = { left: 'start', center: 'middle', right: 'end' };
+
+const escapeXml = (text) =>
+  String(text).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[c]);
+
+const num = (value) => String(Number(value.toFixed(2)));
+
+// Color and opacity attributes (fill or stroke) for a layout color
+const paint = (attribute, color) => {
+  const { rgb, alpha } = parseColor(color);
+  const hex = `#${rgb.map((v) => v.toString(16).padStart(2, '0')).join('')}`;
+  return `${attribute}="${hex}"${alpha < 1 ? ` ${attribute}-opacity="${alpha}"` : ''}`;
+};
+
+const blobToDataUrl = (blob) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+
+const fetchOk = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`${url} returned ${response.status}`);
+  return response;
+};
+
+// @font-face rules of the app font with the font files inlined as data URLs
+export const fetchEmbeddedFontCss = async () => {
+  const css = await (await fetchOk(FONT_CSS_URL)).text();
+  const urls = [...new Set([...css.matchAll(/url\((['"]?)([^'")]+)\1\)/g)].map((m) => m[2]))];
+  const dataUrls = await Promise.all(urls.map(async (url) => blobToDataUrl(await (await fetchOk(url)).blob())));
+  return urls.reduce((result, url, i) => result.split(url).join(dataUrls[i]), css);
+};
+
+// SVG document text of a layout. fontCss (from fetchEmbeddedFontCss) is
+// embedded in a <style> element when given.
+export const layoutToSvg = (layout, { title = '', fontCss = '' } = {}) => {
+  const { width, height, plot } = layout;
+  const clip = ' clip-path="url(#plot-area)"';
+  const elements = layout.items.map((item) => {
+    const clipAttr = item.clip ? clip : '';
+    if (item.type === 'rect') {
+      return `<rect x="${num(item.x)}" y="${num(item.y)}" width="${num(Math.max(0, item.width))}" height="${num(Math.max(0, item.height))}" ${paint('fill', item.fill)}${clipAttr}/>`;
+    }
+    if (item.type === 'path') {
+      const d = item.segments
+        .filter((segment) => segment.length)
+        .map((segment) => segment.map(([x, y], i) => `${i === 0 ? 'M' : 'L'}${num(x)} ${num(y)}`).join(' '))
+        .join(' ');
+      const dash = item.dash ? ` stroke-dasharray="${item.dash.join(' ')}"` : '';
+      return `<path d="${d}" fill="none" ${paint('stroke', item.stroke)} stroke-width="${item.lineWidth}" stroke-linejoin="round"${dash}${clipAttr}/>`;
+    }
+    return (
+      `<text x="${num(item.x)}" y="${num(item.y)}" dy="${BASELINE_DY[item.baseline] || 0}" text-anchor="${TEXT_ANCHORS[item.align]}"` +
+      ` font-size="${item.size}"${item.bold ? ' font-weight="bold"' : ''} ${paint('fill', item.color)}>${escapeXml(item.text)}</text>`
+    );
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${FONT_FAMILY}">`,
+    title ? `<title>${escapeXml(title)}</title>` : null,
+    fontCss ? `<style><![CDATA[${fontCss}]]></style>` : null,
+    `<defs><clipPath id="plot-area"><rect x="${num(plot.left)}" y="${num(plot.top)}" width="${num(plot.width)}" height="${num(plot.height)}"/></clipPath></defs>`,
+    `<rect width="${width}" height="${height}" fill="#ffffff"/>`,
+    ...elements,
+    '</svg>',
+  ]
+    .filter(Boolean)
+    .join('\n');
+};
@@ -0,0 +1,92 @@
+// Swara names, positions and tick generation shared by the renderers.
+import { DEFAULT_TUNING } from './tunings';
+
+// Swara names and their positions in cents (relative to tonic Sa), with the
+// semitone position used to retune them
+export const SWARA_LABELS = [
+  { name: 'Sa', cents: 0, position: 0 },
+  { name: 'Re', cents: 204, position: 2 },
+  { name: 'Re♯/Ga♭', cents: 316, position: 3 },
+  { name: 'Ga', cents: 386, position: 4 },
+  { name: 'Ma', cents: 498, position: 5 },
+  { name: 'Ma♯/Pa♭', cents: 610, position: 6 },
+  { name: 'Pa', cents: 702, position: 7 },
+  { name: 'Dha', cents: 906, position: 9 },
+  { name: 'Dha♯/Ni♭', cents: 1018, position: 10 },
+  { name: 'Ni', cents: 1088, position: 11 },
+  { name: "Sa'", cents: 1200, position: 12 },
+];
+
+// Cents of a semitone position (12 = upper Sa) in the tuning
+const positionCents = (position, tuning) =>
+  position >= 12 ? 1200 + tuning.positions[position - 12] : tuning.positions[position];
+
+// Half-width (cents) of the shaded band drawn around out-of-raga positions
+export const OUT_OF_RAGA_BAND = 25;
+
+// Convert Hz to cents relative to tonic
+export const hzToCents = (hz, tonicHz) => {
+  if (!hz || !tonicHz || hz <= 0 || tonicHz <= 0) return null;
+  return 1200 * Math.log2(hz / tonicHz);
+};
+
+// One octave of { name, cents } for the grid: the raga's swaras, else the
+// tuning's own grid, else SWARA_LABELS, all in the given tuning
+export const getSwaraSet = (raga, tuning = DEFAULT_TUNING) => {
+  if (raga) {
+    return raga.swaras
+      .map((swara) => ({ name: swara.name, cents: swara.cents ?? positionCents(swara.position, tuning) }))
+      .sort((a, b) => a.cents - b.cents);
+  }
+  if (tuning.grid) return tuning.grid;
+  return SWARA_LABELS.map((swara) => ({ name: swara.name, cents: positionCents(swara.position, tuning) }));
+};
+
+// Cents (within one octave) of the semitone positions the raga does not use
+export const getOutOfRagaCents = (raga, tuning = DEFAULT_TUNING) => {
+  if (!raga) return [];
+  const used = new Set(raga.swaras.map((swara) => swara.position));
+  return tuning.positions.filter((_, position) => !used.has(position));
+};
+
+// [low, high] cents bands around out-of-raga positions within the range
+export const getOutOfRagaBands = (raga, tuning, minCents, maxCents) => {
+  const bands = [];
+  const outOfRaga = getOutOfRagaCents(raga, tuning);
+  for (let octave = Math.floor(minCents / 1200) - 1; octave <= Math.ceil(maxCents / 1200); octave++) {
+    outOfRaga.forEach((cents) => {
+      const low = Math.max(minCents, cents + octave * 1200 - OUT_OF_RAGA_BAND);
+      const high = Math.min(maxCents, cents + octave * 1200 + OUT_OF_RAGA_BAND);
+      if (low < high) bands.push([low, high]);
+    });
+  }
+  return bands;
+};
+
+export const getSwaraTicks = (minCents, maxCents, minSpacing = 60, height = 280, swaras = SWARA_LABELS) => {
+  const ticks = [];
+  const allTicks = [];
+  const minOctave = Math.floor(minCents / 1200);
+  const maxOctave = Math.ceil(maxCents / 1200);
+  for (let octave = minOctave; octave <= maxOctave; octave++) {
+    swaras.forEach(swara => {
+      const cents = swara.cents + octave * 1200;
+      if (cents >= minCents - 50 && cents <= maxCents + 50) {
+        let label = swara.name;
+        if (octave > 0) label += "'".repeat(octave);
+        if (octave < 0) label += ",".repeat(-octave);
+        allTicks.push({ value: cents, label });
+      }
+    });
+  }
+  let lastY = null;
+  allTicks.forEach(tick => {
+    const yNorm = (tick.value - minCents) / (maxCents - minCents || 1);
+    const yPx = height - (yNorm * height);
+    if (lastY === null || Math.abs(yPx - lastY) >= minSpacing) {
+      ticks.push(tick);
+      lastY = yPx;
+    }
+  });
+  return ticks;
+};
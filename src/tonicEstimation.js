@@ -0,0 +1,85 @@
+// Tonic (Sa) estimation from an octave-folded pitch histogram.
+// Every smoothed histogram peak is a Sa candidate; it is scored by its own
+// weight plus the weight of its fifth (Pa), since Sa and Pa are the two
+// fixed, most sustained notes. Scores are normalised into confidences.
+
+const REFERENCE_HZ = 440;
+const BIN_CENTS = 10;
+const BIN_COUNT = 1200 / BIN_CENTS;
+const SMOOTHING_BINS = 2;
+const PA_WEIGHT = 0.7;
+const PA_CENTS = 702;
+
+const mod = (n, m) => ((n % m) + m) % m;
+
+const foldedCents = (hz) => mod(1200 * Math.log2(hz / REFERENCE_HZ), 1200);
+
+// Circular gaussian smoothing of the folded histogram
+const smooth = (histogram) => {
+  const kernel = [];
+  for (let k = -3 * SMOOTHING_BINS; k <= 3 * SMOOTHING_BINS; k++) {
+    kernel.push({ offset: k, weight: Math.exp(-(k * k) / (2 * SMOOTHING_BINS * SMOOTHING_BINS)) });
+  }
+  return histogram.map((_, i) =>
+    kernel.reduce((sum, { offset, weight }) => sum + histogram[mod(i + offset, BIN_COUNT)] * weight, 0)
+  );
+};
+
+// Value of the histogram at a fractional bin, interpolated linearly
+const sampleAt = (histogram, bin) => {
+  const lower = Math.floor(bin);
+  const frac = bin - lower;
+  return histogram[mod(lower, BIN_COUNT)] * (1 - frac) + histogram[mod(lower + 1, BIN_COUNT)] * frac;
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+// Octave placement: the highest octave of the pitch class not above the median
+// pitch, since performers mostly sing between Sa and the upper Sa'.
+const toTonicHz = (cents, medianHz) => {
+  let hz = REFERENCE_HZ * Math.pow(2, cents / 1200);
+  while (hz > medianHz) hz /= 2;
+  while (hz * 2 <= medianHz) hz *= 2;
+  return hz;
+};
+
+// Returns null without voiced data, otherwise
+// { tonic, confidence, candidates: [{ hz, confidence }] } sorted by confidence.
+export const estimateTonic = (pitchData, maxCandidates = 5) => {
+  const voiced = pitchData.filter((p) => p.y > 0 && isFinite(p.y)).map((p) => p.y);
+  if (voiced.length === 0) return null;
+
+  const histogram = new Array(BIN_COUNT).fill(0);
+  voiced.forEach((hz) => {
+    histogram[Math.floor(foldedCents(hz) / BIN_CENTS) % BIN_COUNT] += 1;
+  });
+  const smoothed = smooth(histogram);
+
+  const candidates = [];
+  for (let i = 0; i < BIN_COUNT; i++) {
+    const prev = smoothed[mod(i - 1, BIN_COUNT)];
+    const next = smoothed[mod(i + 1, BIN_COUNT)];
+    if (smoothed[i] <= 0 || smoothed[i] < prev || smoothed[i] <= next) continue;
+    // Parabolic refinement of the peak position (bin centres are at +0.5)
+    const denom = prev + next - 2 * smoothed[i];
+    const bin = i + (denom ? (prev - next) / (2 * denom) : 0);
+    const score = sampleAt(smoothed, bin) + PA_WEIGHT * sampleAt(smoothed, bin + PA_CENTS / BIN_CENTS);
+    candidates.push({ cents: (bin + 0.5) * BIN_CENTS, score });
+  }
+  if (candidates.length === 0) return null;
+
+  const totalScore = candidates.reduce((sum, c) => sum + c.score, 0);
+  const medianHz = median(voiced);
+  const ranked = candidates
+    .sort((a, b) => b.score - a.score)
+    .slice(0, maxCandidates)
+    .map((c) => ({
+      hz: Number(toTonicHz(c.cents, medianHz).toFixed(2)),
+      confidence: c.score / totalScore,
+    }));
+
+  return { tonic: ranked[0].hz, confidence: ranked[0].confidence, candidates: ranked };
+};
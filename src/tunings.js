@@ -0,0 +1,66 @@
+// Tuning systems: the cents value of each of the twelve semitone positions
+// above Sa. A tuning may also provide its own grid of named swaras, used when
+// no raga is selected.
+
+// Just intonation (5-limit) positions
+export const JUST_INTONATION_CENTS = [0, 112, 204, 316, 386, 498, 610, 702, 814, 906, 1018, 1088];
+
+const EQUAL_TEMPERAMENT_CENTS = JUST_INTONATION_CENTS.map((_, i) => i * 100);
+
+// The 22 shrutis, four variants for each of Re, Ga, Ma, Dha and Ni
+const SHRUTIS = [
+  { name: 'Sa', cents: 0 },
+  { name: 'Re1', cents: 90 },
+  { name: 'Re2', cents: 112 },
+  { name: 'Re3', cents: 182 },
+  { name: 'Re4', cents: 204 },
+  { name: 'Ga1', cents: 294 },
+  { name: 'Ga2', cents: 316 },
+  { name: 'Ga3', cents: 386 },
+  { name: 'Ga4', cents: 408 },
+  { name: 'Ma1', cents: 498 },
+  { name: 'Ma2', cents: 520 },
+  { name: 'Ma3', cents: 590 },
+  { name: 'Ma4', cents: 612 },
+  { name: 'Pa', cents: 702 },
+  { name: 'Dha1', cents: 792 },
+  { name: 'Dha2', cents: 814 },
+  { name: 'Dha3', cents: 884 },
+  { name: 'Dha4', cents: 906 },
+  { name: 'Ni1', cents: 996 },
+  { name: 'Ni2', cents: 1018 },
+  { name: 'Ni3', cents: 1088 },
+  { name: 'Ni4', cents: 1110 },
+];
+
+// Shrutis used for the twelve positions when a raga is selected
+const SHRUTI_POSITION_CENTS = [0, 112, 204, 316, 386, 498, 590, 702, 814, 884, 1018, 1088];
+
+export const TUNING_SYSTEMS = [
+  { id: 'just', name: 'Just intonation', positions: JUST_INTONATION_CENTS },
+  { id: 'equal', name: '12-TET', positions: EQUAL_TEMPERAMENT_CENTS },
+  { id: 'shruti22', name: '22 shruti', positions: SHRUTI_POSITION_CENTS, grid: SHRUTIS },
+];
+
+export const DEFAULT_TUNING = TUNING_SYSTEMS[0];
+
+export const formatTuningTable = (positions) => positions.join(', ');
+
+// Custom table: twelve ascending cents values starting at 0, comma/space
+// separated. Throws an Error describing the problem.
+export const parseCustomTuning = (text) => {
+  const positions = text
+    .split(/[\s,;]+/)
+    .filter(Boolean)
+    .map(Number);
+  if (positions.length !== 12 || positions.some((c) => !isFinite(c))) {
+    throw new Error('Enter 12 cents values, one per semitone position from Sa.');
+  }
+  if (positions[0] !== 0) {
+    throw new Error('The first value (Sa) must be 0.');
+  }
+  if (positions.some((c, i) => i > 0 && (c <= positions[i - 1] || c >= 1200))) {
+    throw new Error('Values must increase and stay below 1200.');
+  }
+  return { id: 'custom', name: 'Custom', positions };
+};
@@ -0,0 +1,64 @@
+// Card layout and view settings in the URL hash, so a link reproduces them:
+// #v=1&n=2&g=canvas&y=cents&s1=12.3&e1=15.8&t1=146.8&f1=take1.csv ...
+// Card parameters are numbered from 1 like the card titles. Pitch data is not
+// included; the recipient supplies the named files.
+import { Y_AXIS_TYPES } from './yAxis';
+import { MAX_CARDS } from './session';
+
+const URL_STATE_VERSION = '1';
+const GRAPH_TYPES = ['victory', 'canvas'];
+const CARD_PARAMS = { s: 'startTime', e: 'endTime', t: 'tonic', f: 'fileName' };
+
+export const encodeUrlState = ({ useSameFile, graphType, yAxisType, sharedFileName, cards }) => {
+  const params = new URLSearchParams({ v: URL_STATE_VERSION, n: String(cards.length), g: graphType, y: yAxisType });
+  if (useSameFile) {
+    params.set('same', '1');
+    if (sharedFileName) params.set('sf', sharedFileName);
+  }
+  cards.forEach((card, i) => {
+    Object.entries(CARD_PARAMS).forEach(([param, key]) => {
+      if (key === 'fileName' && useSameFile) return;
+      if (card[key]) params.set(`${param}${i + 1}`, card[key]);
+    });
+  });
+  return params.toString();
+};
+
+// { numCards, useSameFile, graphType, yAxisType, sharedFileName, cards } or
+// null when the hash holds no (readable) state. Unknown values are dropped.
+// cards only runs to the last card the link sets a value for, so a large
+// count costs nothing until the cards are laid out.
+export const decodeUrlState = (hash) => {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const count = Number(params.get('n'));
+  const useSameFile = params.get('same') === '1';
+  if (
+    params.get('v') !== URL_STATE_VERSION ||
+    !Number.isInteger(count) ||
+    count < 1 ||
+    (count > MAX_CARDS && !useSameFile)
+  ) {
+    return null;
+  }
+  const graphType = params.get('g');
+  const yAxisType = params.get('y');
+  const numeric = (value) => (value !== null && value !== '' && isFinite(Number(value)) ? value : '');
+  const lastSetCard = [...params.keys()].reduce((last, key) => {
+    const match = key.match(/^[seft](\d+)$/);
+    const number = match ? Number(match[1]) : 0;
+    return number <= count ? Math.max(last, number) : last;
+  }, 0);
+  return {
+    numCards: String(count),
+    useSameFile,
+    graphType: GRAPH_TYPES.includes(graphType) ? graphType : null,
+    yAxisType: Y_AXIS_TYPES.some((t) => t.id === yAxisType) ? yAxisType : null,
+    sharedFileName: useSameFile ? params.get('sf') || '' : '',
+    cards: Array.from({ length: lastSetCard }, (_, i) => ({
+      startTime: numeric(params.get(`s${i + 1}`)),
+      endTime: numeric(params.get(`e${i + 1}`)),
+      tonic: numeric(params.get(`t${i + 1}`)),
+      fileName: useSameFile ? params.get('sf') || '' : params.get(`f${i + 1}`) || '',
+    })),
+  };
+};
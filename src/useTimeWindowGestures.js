@@ -0,0 +1,141 @@
+import { useEffect, useRef, useState } from 'react';
+
+// Mouse-wheel / pinch zoom, drag-to-pan and shift+drag brush selection over a
+// chart element, reported as a new [start, end] time window through onChange.
+// The plot area is the element's width minus plotLeft/plotRight, given in
+// viewWidth units (the SVG viewBox width) or CSS px when viewWidth is null.
+// In annotate mode a drag reports a time region and a click a time point
+// through onAnnotate(start, end) instead of panning.
+
+const WHEEL_ZOOM_STEP = 1.2;
+const MIN_WINDOW = 0.05;
+const DRAG_THRESHOLD = 3;
+
+export const useTimeWindowGestures = (
+  ref,
+  { start, end, enabled, plotLeft, plotRight, viewWidth = null, onChange, annotate = false, onAnnotate }
+) => {
+  const [brush, setBrush] = useState(null);
+  const latest = useRef({});
+  latest.current = { start, end, enabled, plotLeft, plotRight, viewWidth, onChange, annotate, onAnnotate };
+
+  useEffect(() => {
+    const el = ref.current;
+    if (!el) return;
+    const pointers = new Map();
+    let gesture = null;
+
+    const getPlot = () => {
+      const { plotLeft: left, plotRight: right, viewWidth: vw } = latest.current;
+      const rect = el.getBoundingClientRect();
+      const scale = vw ? rect.width / vw : 1;
+      return { left: rect.left + left * scale, width: rect.width - (left + right) * scale, rect };
+    };
+
+    const timeAt = (clientX, s, e) => {
+      const { left, width } = getPlot();
+      return s + ((clientX - left) / width) * (e - s);
+    };
+
+    const emit = (s, e) => {
+      if (e - s < MIN_WINDOW) {
+        const mid = (s + e) / 2;
+        s = mid - MIN_WINDOW / 2;
+        e = mid + MIN_WINDOW / 2;
+      }
+      if (s < 0) {
+        e -= s;
+        s = 0;
+      }
+      latest.current.onChange(s, e);
+    };
+
+    const zoomAround = (clientX, factor) => {
+      const { start: s, end: e } = latest.current;
+      const anchor = timeAt(clientX, s, e);
+      emit(anchor - (anchor - s) * factor, anchor + (e - anchor) * factor);
+    };
+
+    const onWheel = (event) => {
+      if (!latest.current.enabled) return;
+      event.preventDefault();
+      zoomAround(event.clientX, Math.pow(WHEEL_ZOOM_STEP, event.deltaY / 100));
+    };
+
+    const pinchDistance = () => {
+      const [a, b] = [...pointers.values()];
+      return Math.abs(a.clientX - b.clientX);
+    };
+
+    const onPointerDown = (event) => {
+      if (!latest.current.enabled || event.button > 0) return;
+      pointers.set(event.pointerId, event);
+      el.setPointerCapture(event.pointerId);
+      const { start: s, end: e } = latest.current;
+      if (pointers.size === 2) {
+        const [a, b] = [...pointers.values()];
+        gesture = { type: 'pinch', distance: pinchDistance(), center: (a.clientX + b.clientX) / 2, start: s, end: e };
+      } else {
+        const type = latest.current.annotate ? 'annotate' : event.shiftKey ? 'brush' : 'pan';
+        gesture = { type, x0: event.clientX, start: s, end: e, moved: false };
+      }
+    };
+
+    const onPointerMove = (event) => {
+      if (!gesture || !pointers.has(event.pointerId)) return;
+      pointers.set(event.pointerId, event);
+      if (gesture.type === 'pinch' && pointers.size === 2) {
+        const distance = pinchDistance();
+        if (!distance) return;
+        const factor = gesture.distance / distance;
+        const anchor = timeAt(gesture.center, gesture.start, gesture.end);
+        emit(anchor - (anchor - gesture.start) * factor, anchor + (gesture.end - anchor) * factor);
+        return;
+      }
+      const dx = event.clientX - gesture.x0;
+      if (Math.abs(dx) >= DRAG_THRESHOLD) gesture.moved = true;
+      if (!gesture.moved) return;
+      const { left, width, rect } = getPlot();
+      if (gesture.type === 'brush' || gesture.type === 'annotate') {
+        const clamp = (x) => Math.min(Math.max(x, left), left + width) - rect.left;
+        setBrush({ x0: clamp(Math.min(gesture.x0, event.clientX)), x1: clamp(Math.max(gesture.x0, event.clientX)) });
+      } else {
+        const shift = (dx / width) * (gesture.end - gesture.start);
+        emit(gesture.start - shift, gesture.end - shift);
+      }
+    };
+
+    const onPointerUp = (event) => {
+      if (!pointers.has(event.pointerId)) return;
+      pointers.delete(event.pointerId);
+      if (gesture && gesture.type === 'brush' && gesture.moved) {
+        const a = timeAt(gesture.x0, gesture.start, gesture.end);
+        const b = timeAt(event.clientX, gesture.start, gesture.end);
+        emit(Math.max(Math.min(a, b), gesture.start), Math.min(Math.max(a, b), gesture.end));
+      }
+      if (gesture && gesture.type === 'annotate' && event.type === 'pointerup') {
+        const clamp = (t) => Math.min(Math.max(t, gesture.start), gesture.end);
+        const a = clamp(timeAt(gesture.x0, gesture.start, gesture.end));
+        const b = gesture.moved ? clamp(timeAt(event.clientX, gesture.start, gesture.end)) : a;
+        latest.current.onAnnotate(Math.min(a, b), Math.max(a, b));
+      }
+      setBrush(null);
+      gesture = null;
+    };
+
+    el.addEventListener('wheel', onWheel, { passive: false });
+    el.addEventListener('pointerdown', onPointerDown);
+    el.addEventListener('pointermove', onPointerMove);
+    el.addEventListener('pointerup', onPointerUp);
+    el.addEventListener('pointercancel', onPointerUp);
+    return () => {
+      el.removeEventListener('wheel', onWheel);
+      el.removeEventListener('pointerdown', onPointerDown);
+      el.removeEventListener('pointermove', onPointerMove);
+      el.removeEventListener('pointerup', onPointerUp);
+      el.removeEventListener('pointercancel', onPointerUp);
+    };
+  }, [ref]);
+
+  return brush;
+};
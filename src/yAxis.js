@@ -0,0 +1,129 @@
+// Y axis modes. Relative modes plot cents above the card's tonic; absolute
+// modes need no tonic. Each point keeps its Hz value for tooltips, and the
+// axis value is what the renderers position on the Y axis.
+import { getSwaraTicks, hzToCents } from './swaras';
+
+const A4_HZ = 440;
+const A4_MIDI = 69;
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+// Round Hz values offered as log-axis ticks, per decade
+const LOG_TICK_MANTISSAS = [1, 1.2, 1.5, 2, 2.5, 3, 4, 5, 6, 7, 8];
+
+export const Y_AXIS_TYPES = [
+  { id: 'swaras', label: 'Swaras', title: 'Swaras', relative: true },
+  { id: 'cents', label: 'Cents', title: 'Cents', relative: true },
+  { id: 'hz', label: 'Hz (linear)', title: 'Hz', relative: false },
+  { id: 'hzLog', label: 'Hz (log)', title: 'Hz (log)', relative: false },
+  { id: 'midi', label: 'MIDI note', title: 'MIDI', relative: false },
+  { id: 'notes', label: 'Note names', title: 'Note', relative: false },
+];
+
+const getAxisType = (yAxisType) => Y_AXIS_TYPES.find((t) => t.id === yAxisType) || Y_AXIS_TYPES[0];
+
+export const isRelativeAxis = (yAxisType) => getAxisType(yAxisType).relative;
+
+export const getAxisTitle = (yAxisType) => getAxisType(yAxisType).title;
+
+export const hzToMidi = (hz) => A4_MIDI + 12 * Math.log2(hz / A4_HZ);
+
+// Scientific pitch name of a (rounded) MIDI number, e.g. 61 -> 'C#4'
+export const midiToNoteName = (midi) => {
+  const rounded = Math.round(midi);
+  return `${NOTE_NAMES[((rounded % 12) + 12) % 12]}${Math.floor(rounded / 12) - 1}`;
+};
+
+// Nearest note and the deviation from it in cents
+export const describeHz = (hz) => {
+  const midi = hzToMidi(hz);
+  return { note: midiToNoteName(midi), cents: (midi - Math.round(midi)) * 100 };
+};
+
+const formatSignedCents = (cents) => `${cents >= 0 ? '+' : '−'}${Math.abs(cents).toFixed(0)}¢`;
+
+// Axis value of a pitch, or null when it cannot be placed
+export const toAxisValue = (hz, yAxisType, tonicHz) => {
+  if (!(hz > 0)) return null;
+  switch (yAxisType) {
+    case 'hz':
+      return hz;
+    case 'hzLog':
+      return Math.log2(hz);
+    case 'midi':
+    case 'notes':
+      return hzToMidi(hz);
+    default:
+      return hzToCents(hz, tonicHz);
+  }
+};
+
+export const getYTicks = (min, max, count = 5) => {
+  if (!isFinite(min) || !isFinite(max) || min === max) return [];
+  const ticks = [];
+  for (let i = 0; i <= count; i++) {
+    ticks.push(min + ((max - min) * i) / count);
+  }
+  return ticks;
+};
+
+// Semitone steps keeping labels at least minSpacing px apart
+const getMidiTicks = (min, max, minSpacing, height, format) => {
+  const pxPerSemitone = height / (max - min || 1);
+  const step = [1, 2, 3, 4, 6, 12, 24].find((s) => s * pxPerSemitone >= minSpacing) || 24;
+  const ticks = [];
+  for (let m = Math.ceil(min / step) * step; m <= max; m += step) {
+    ticks.push({ value: m, label: format(m) });
+  }
+  return ticks;
+};
+
+// Round Hz values (log2 axis values) keeping labels at least minSpacing px apart
+const getLogHzTicks = (min, max, minSpacing, height) => {
+  const ticks = [];
+  let lastY = null;
+  for (let decade = Math.floor(Math.log10(2 ** min)); decade <= Math.ceil(Math.log10(2 ** max)); decade++) {
+    LOG_TICK_MANTISSAS.forEach((mantissa) => {
+      const hz = mantissa * 10 ** decade;
+      const value = Math.log2(hz);
+      if (value < min || value > max) return;
+      const yPx = ((value - min) / (max - min || 1)) * height;
+      if (lastY === null || yPx - lastY >= minSpacing) {
+        ticks.push({ value, label: hz >= 1000 ? `${hz / 1000}k` : String(hz) });
+        lastY = yPx;
+      }
+    });
+  }
+  return ticks;
+};
+
+// [{ value, label }] ticks for an axis range drawn over `height` px
+export const getAxisTicks = (yAxisType, min, max, height, swaraSet) => {
+  switch (yAxisType) {
+    case 'swaras':
+      return getSwaraTicks(min, max, 40, height, swaraSet);
+    case 'hzLog':
+      return getLogHzTicks(min, max, 24, height);
+    case 'midi':
+      return getMidiTicks(min, max, 24, height, (m) => String(m));
+    case 'notes':
+      return getMidiTicks(min, max, 24, height, midiToNoteName);
+    default:
+      return getYTicks(min, max, 5).map((value) => ({ value, label: value.toFixed(1) }));
+  }
+};
+
+// Tooltip line describing a point's pitch in the axis' terms
+export const formatPitchTooltip = (datum, yAxisType) => {
+  switch (yAxisType) {
+    case 'hz':
+    case 'hzLog':
+      return `Hz: ${datum.hz.toFixed(2)}`;
+    case 'midi':
+      return `MIDI: ${datum.y.toFixed(2)} (${datum.hz.toFixed(1)} Hz)`;
+    case 'notes': {
+      const { note, cents } = describeHz(datum.hz);
+      return `Note: ${note} ${formatSignedCents(cents)} (${datum.hz.toFixed(1)} Hz)`;
+    }
+    default:
+      return `Cents: ${datum.y.toFixed(2)}`;
+  }
+};
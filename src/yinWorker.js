@@ -0,0 +1,70 @@
+// Web Worker running the YIN pitch detector (de Cheveigné & Kawahara, 2002)
+// over mono PCM samples. Posts { type: 'progress', progress } while running
+// and { type: 'result', data: [{ x, y }] } when done; unvoiced frames get y = 0.
+
+const YIN_THRESHOLD = 0.12;
+// Frames quieter than this RMS are reported as unvoiced without analysis
+const SILENCE_RMS = 0.003;
+
+const detectPitch = (samples, offset, windowSize, tauMin, tauMax, sampleRate, diff) => {
+  let energy = 0;
+  for (let j = 0; j < windowSize; j++) energy += samples[offset + j] * samples[offset + j];
+  if (Math.sqrt(energy / windowSize) < SILENCE_RMS) return 0;
+
+  // Difference function
+  for (let tau = 1; tau <= tauMax; tau++) {
+    let sum = 0;
+    for (let j = 0; j < windowSize; j++) {
+      const delta = samples[offset + j] - samples[offset + j + tau];
+      sum += delta * delta;
+    }
+    diff[tau] = sum;
+  }
+
+  // Cumulative mean normalized difference
+  diff[0] = 1;
+  let runningSum = 0;
+  for (let tau = 1; tau <= tauMax; tau++) {
+    runningSum += diff[tau];
+    diff[tau] = runningSum ? (diff[tau] * tau) / runningSum : 1;
+  }
+
+  // Absolute threshold, then walk down to the local minimum
+  let tau = tauMin;
+  while (tau <= tauMax && diff[tau] >= YIN_THRESHOLD) tau++;
+  if (tau > tauMax) return 0;
+  while (tau + 1 <= tauMax && diff[tau + 1] < diff[tau]) tau++;
+
+  // Parabolic interpolation around the minimum
+  let betterTau = tau;
+  if (tau > 1 && tau < tauMax) {
+    const s0 = diff[tau - 1];
+    const s1 = diff[tau];
+    const s2 = diff[tau + 1];
+    const denom = s0 + s2 - 2 * s1;
+    if (denom) betterTau = tau + (s0 - s2) / (2 * denom);
+  }
+  return sampleRate / betterTau;
+};
+
+self.onmessage = (e) => {
+  const { samples, sampleRate, hopSize, minFreq, maxFreq } = e.data;
+  const tauMin = Math.max(2, Math.floor(sampleRate / maxFreq));
+  const tauMax = Math.ceil(sampleRate / minFreq);
+  const windowSize = tauMax;
+  const frameSize = windowSize + tauMax + 1;
+  const frameCount = Math.max(0, Math.floor((samples.length - frameSize) / hopSize) + 1);
+  const diff = new Float32Array(tauMax + 2);
+  const data = [];
+  const progressEvery = Math.max(1, Math.floor(frameCount / 100));
+
+  for (let i = 0; i < frameCount; i++) {
+    const offset = i * hopSize;
+    const hz = detectPitch(samples, offset, windowSize, tauMin, tauMax, sampleRate, diff);
+    data.push({ x: (offset + frameSize / 2) / sampleRate, y: hz });
+    if (i % progressEvery === 0) {
+      self.postMessage({ type: 'progress', progress: i / frameCount });
+    }
+  }
+  self.postMessage({ type: 'result', data });
+};